@@ -8,29 +8,17 @@ import WaterlineError from 'waterline-errors'
 import AdapterError from './error'
 import Util from './util'
 import SpatialUtil from './spatial'
+import JsonUtil from './json'
+import ArrayUtil from './array'
+import EnumUtil from './enum'
+import ForeignKeyUtil from './foreignkeys'
+import Migration from './migration'
+import TenantUtil from './tenants'
+import ContextUtil from './context'
 import SQL from './sql'
-
-
-
-const pool = []
-
-
-const add = (key) => {
-  pool.push(key)
-}
-
- const del = (key) => {
-   _.pull(pool, key);
-}
-
-
-setInterval(function () {
-  console.log('---- pool ------');
-  console.log(pool);
-  console.log('---- /pool -----');
-}, 20*1000);
-
-
+import Operations from './operations'
+import Copy from './copy'
+import Cursor from './cursor'
 
 const Adapter = {
 
@@ -82,6 +70,91 @@ const Adapter = {
       syncInterval: 2 * 1000,
       idleTimeout: 30 * 1000,
       acquireTimeout: 300 * 1000
+    },
+
+    /**
+     * createEach inserts records in chunks of chunkSize, and switches to
+     * COPY ... FROM STDIN when there are at least copyThreshold records
+     */
+    createEach: {
+      chunkSize: 500,
+      copyThreshold: 10000
+    },
+
+    /**
+     * Backoff policy used by transactions opened with { retry: true }. The
+     * n-th retry waits minDelay * factor^n ms, up to maxDelay.
+     */
+    transactionRetry: {
+      retries: 3,
+      minDelay: 50,
+      maxDelay: 2000,
+      factor: 2
+    },
+
+    /**
+     * Set to false to skip PostGIS detection on a database that has no
+     * spatial models
+     */
+    spatial: true,
+
+    /**
+     * Set to true to store enum attributes as native enum types, instead of
+     * text columns with a CHECK constraint. Attributes can opt in or out with
+     * nativeEnum.
+     */
+    nativeEnums: false,
+
+    /**
+     * Set to true to create foreign key constraints for model associations
+     * and many-to-many junction tables, or to an object of default options:
+     * { onDelete, onUpdate, deferrable }. Attributes can opt in on their own
+     * with those options.
+     */
+    foreignKeys: false,
+
+    /**
+     * The PostgreSQL schema that the tables of the connection live in, which
+     * is put first on the search_path. Models can set their own with
+     * meta.schemaName.
+     */
+    schemaName: null,
+
+    /**
+     * Each tenant has its tables in a schema named with this prefix and its
+     * id, e.g. tenant_acme (see Adapter.tenant)
+     */
+    tenants: {
+      prefix: 'tenant_'
+    },
+
+    /**
+     * Session context for row-level security policies. A context, e.g.
+     * { userId: 42, tenantId: 'acme', role: 'app_user' }, is applied to a
+     * transaction with set_config('<namespace>.user_id', '42', true) and so
+     * on, and SET LOCAL ROLE for role. current, if set, is invoked with the
+     * method and the table of every call that has neither a transaction nor
+     * a context of its own, and returns the context of the call (e.g. from
+     * the request that it serves), or nothing.
+     */
+    context: {
+      namespace: 'app',
+      current: null
+    },
+
+    /**
+     * Adapter.alter refuses steps that can lose data (dropping columns,
+     * narrowing types) unless allowDestructive is set
+     */
+    migrations: {
+      allowDestructive: false
+    },
+
+    /**
+     * stream reads rows from its cursor batchSize at a time
+     */
+    stream: {
+      batchSize: 100
     }
   },
 
@@ -95,8 +168,6 @@ const Adapter = {
    * @return {[type]}              [description]
    */
   registerConnection (connection, collections, cb) {
-    const key = (+(new Date()))+'-registerConnection';
-    add(key);
     if (!connection.identity) {
       return cb(WaterlineError.adapter.IdentityMissing)
     }
@@ -105,11 +176,13 @@ const Adapter = {
     }
 
     _.defaultsDeep(connection, Adapter.defaults)
+    Util.restoreAttributeProperties(collections)
 
     let knex = Knex({
       client: 'pg',
       connection: connection.url || connection.connection,
       pool: connection.pool,
+      searchPath: connection.schemaName && `"${connection.schemaName.replace(/"/g, '""')}", public`,
       debug: process.env.WATERLINE_DEBUG_SQL || connection.debug
     })
     let cxn = {
@@ -118,16 +191,20 @@ const Adapter = {
       collections: collections,
       config: connection,
       knex: knex,
-      st: KnexPostgis(knex)
+      st: KnexPostgis(knex),
+      operations: new Map(),
+      gistIndexes: new Map()
     }
 
     return Util.initializeConnection(cxn)
       .then(() => {
         Adapter.connections.set(connection.identity, cxn)
-        del(key);
         return cb()
       })
-      .catch(cb)
+      .catch(error => {
+        knex.destroy()
+        return cb(error)
+      })
   },
 
   /**
@@ -137,9 +214,7 @@ const Adapter = {
    * @param collections[]
    */
   buildSchema (connection, collections) {
-    const key = (+(new Date()))+'-buildSchema';
-    add(key);
-    const val = _.chain(collections)
+    return _.chain(collections)
       .map((model, modelName) => {
         let definition = _.get(model, [ 'waterline', 'schema', model.identity ])
         return _.defaultsDeep(definition, {
@@ -149,8 +224,6 @@ const Adapter = {
       })
       .keyBy('tableName')
       .value()
-      del(key)
-      return val
   },
 
   /**
@@ -158,16 +231,11 @@ const Adapter = {
    * e.g. for Postgres 9.3.9, return [ '9', '3', '9' ]
    */
   getVersion (cxn) {
-    const key = (+(new Date()))+'-getVersion';
-    add(key);
-    const val = cxn.knex
+    return cxn.knex
       .raw('select version() as version')
       .then(({ rows: [row] }) => {
         return row.version.split(' ')[1].split('.')
       })
-
-      del(key)
-      return val
   },
 
   /**
@@ -177,24 +245,101 @@ const Adapter = {
    * @param tableName
    */
   describe (connectionName, tableName, cb) {
-    const key = (+(new Date()))+'-describe-'+JSON.stringify(tableName);
-    add(key);
     let cxn = Adapter.connections.get(connectionName)
 
-    return cxn.knex(tableName).columnInfo()
+    return Operations.track(cxn, 'describe', tableName, operation => {
+        return Adapter._describe(cxn, tableName, operation)
+      })
       .then(columnInfo => {
-        if (_.isEmpty(columnInfo)) {
-          return cb()
-        }
+        return (_.isFunction(cb) ? cb(null, columnInfo) : columnInfo)
+      })
+      .catch(AdapterError.wrap(cb, null, null, { cxn, tableName }))
+  },
+
+  /**
+   * Describe a table as a whole: its comment and columns (as describe lists
+   * them), and its indexes, foreign keys and CHECK constraints. The table
+   * name may be qualified with a schema, e.g. 'billing.invoice'.
+   *
+   * @param connectionName
+   * @param tableName
+   * @returns { schemaName, tableName, comment, columns, indexes, foreignKeys, checks },
+   *          or undefined if the table does not exist
+   */
+  describeTable (connectionName, tableName, cb) {
+    let cxn = Adapter.connections.get(connectionName)
+
+    return Operations.track(cxn, 'describeTable', tableName, operation => {
+        return Adapter._describeTable(cxn, tableName, operation)
+      })
+      .then(description => {
+        return (_.isFunction(cb) ? cb(null, description) : description)
+      })
+      .catch(AdapterError.wrap(cb, null, null, { cxn, tableName }))
+  },
 
-        return Adapter._query(cxn, SQL.indexes, [ tableName ])
-          .then(({ rows }) => {
-            _.merge(columnInfo, _.keyBy(camelize(rows), 'columnName'))
-            del(key)
-            return (_.isFunction(cb) ? cb(null, columnInfo) : columnInfo)
+  /**
+   * The columns of a table, keyed by column name. Resolves undefined if the
+   * table does not exist.
+   */
+  _describe (cxn, tableName, operation) {
+    return Adapter._describeTable(cxn, tableName, operation)
+      .then(description => description && description.columns)
+  },
+
+  /**
+   * Merge the full types, comments, enum values, indexes, foreign keys and
+   * CHECK constraints of the columns into the knex columnInfo of a table.
+   * Resolves undefined if the table does not exist.
+   */
+  _describeTable (cxn, name, operation) {
+    let { schemaName, tableName } = Util.parseTableName(name)
+    schemaName = schemaName || Util.getSchemaName(cxn, tableName)
+    let bindings = [ tableName, schemaName ]
+    let knex = schemaName ? cxn.knex.withSchema(schemaName) : cxn.knex
+
+    return knex.from(tableName).columnInfo()
+      .on('query', Operations.recordQuery(operation))
+      .then(columnInfo => {
+        if (_.isEmpty(columnInfo)) return
+
+        let queries = [ SQL.table, SQL.columns, SQL.enumColumns, SQL.indexes, SQL.foreignKeys, SQL.checkConstraints ]
+        return _.reduce(queries, (promise, query) => {
+          return promise.then(results => {
+            operation.sql = query
+            return Adapter._query(cxn, query, bindings)
+              .then(({ rows }) => [ ...results, camelize(rows) ])
           })
+        }, Promise.resolve([ ]))
+        .then(([ [ table ], columns, enumColumns, indexes, foreignKeys, checks ]) => {
+          _.merge(columnInfo, _.keyBy(columns, 'columnName'), _.keyBy(enumColumns, 'columnName'))
+
+          _.each(columnInfo, (column, columnName) => {
+            let columnIndexes = _.filter(indexes, index => _.includes(index.columns, columnName))
+            let singleColumnIndexes = _.filter(columnIndexes, index => {
+              return index.columns.length === 1 && !index.expression && !index.predicate
+            })
+            _.assign(column, {
+              primaryKey: _.some(columnIndexes, 'primaryKey'),
+              unique: _.some(singleColumnIndexes, 'unique'),
+              indexed: !_.isEmpty(columnIndexes),
+              indexes: columnIndexes,
+              foreignKey: _.find(foreignKeys, foreignKey => _.includes(foreignKey.columns, columnName)),
+              checks: _.map(_.filter(checks, check => _.includes(check.columns, columnName)), 'definition')
+            })
+          })
+
+          return {
+            schemaName: table.schemaName,
+            tableName: table.tableName,
+            comment: table.comment,
+            columns: columnInfo,
+            indexes,
+            foreignKeys,
+            checks
+          }
+        })
       })
-      .catch(AdapterError.wrap(cb))
   },
 
   /**
@@ -205,26 +350,37 @@ const Adapter = {
    * @param queryString
    * @param data
    */
-  query (connectionName, tableName, queryString, args, cb) {
-    const key = (+(new Date()))+'-query-'+JSON.stringify({table: tableName, qs: queryString, args: args});
-    add(key);
+  query (connectionName, tableName, queryString, args, cb, txn) {
     let cxn = Adapter.connections.get(connectionName)
 
-    return Adapter._query(cxn, queryString, args)
+    return Operations.track(cxn, 'query', tableName, operation => {
+        Util.assertTransactionActive(txn)
+        return ContextUtil.run(cxn, txn, operation, txn => {
+          operation.sql = queryString
+          if (cxn.parent) {
+            return TenantUtil.query(cxn, queryString, args, txn)
+          }
+          return Adapter._query(cxn, queryString, args, txn)
+        })
+      })
       .then((result = { }) => {
-        del(key)
         return (_.isFunction(cb) ? cb(null, result) : result)
       })
-      .catch(AdapterError.wrap(cb))
+      .catch(AdapterError.wrap(cb, txn, null, { cxn, tableName }))
   },
 
-  _query (cxn, query, values) {
+  _query (cxn, query, values, txn) {
     return cxn.knex.raw(Util.toKnexRawQuery(query), Util.castValues(values))
+      .transacting(txn)
       .then((result = { }) => result)
   },
 
   /**
-   * Create a new table
+   * Create a new table. If the table exists, and the model migrates with
+   * 'alter', alter it to match the model instead; its destructive steps are
+   * skipped and reported to onError. Waterline drops a table before it
+   * defines it, so this is for a tenant that is provisioned again (see
+   * Adapter.provisionTenant), or a direct call.
    *
    * @param connectionName
    * @param tableName
@@ -232,185 +388,336 @@ const Adapter = {
    * @param cb
    */
   define (connectionName, _tableName, definition, cb) {
-    const key = (+(new Date()))+'-define-'+JSON.stringify(_tableName);
-    add(key);
     let cxn = Adapter.connections.get(connectionName)
     let schema = cxn.collections[_tableName]
     let tableName = _tableName.substring(0, 63)
 
-    return cxn.knex.schema
-      .hasTable(tableName)
-      .then(exists => {
-        if (exists) return
+    let schemaName = Util.getSchemaName(cxn, tableName)
+
+    return Operations.track(cxn, 'define', tableName, operation => {
+        let createSchema = schemaName ?
+          cxn.knex.raw('create schema if not exists ??', [ schemaName ]).on('query', Operations.recordQuery(operation)) :
+          Promise.resolve()
+
+        return createSchema
+          .then(() => cxn.knex.schema.withSchema(schemaName).hasTable(tableName))
+          .then(exists => {
+            if (exists) {
+              return schema.migrate === 'alter' && Migration.alter(cxn, tableName, { skipDestructive: true }, operation).then(_.noop)
+            }
 
-        return cxn.knex.schema.createTable(tableName, table => {
-          _.each(definition, (definition, attributeName) => {
-            let newColumn = Util.toKnexColumn(table, attributeName, definition, schema, cxn.collections)
-            Util.applyColumnConstraints(newColumn, definition)
+            return EnumUtil.createTypes(cxn, tableName, definition, schema.migrate, operation)
+          })
+          .then(enumTypes => {
+            if (!enumTypes) return
+
+            return Migration.buildCreateTable(cxn, tableName, definition, enumTypes, schema)
+              .on('query', Operations.recordQuery(operation))
+              .then(() => ForeignKeyUtil.createConstraints(cxn, tableName, operation))
           })
-          Util.applyTableConstraints(table, definition)
-        })
       })
       .then(() => {
-        //console.log('created table', tableName, schema)
-        del(key)
+        cxn.gistIndexes.delete(tableName)
         if (_.isFunction(cb)) { cb() }
       })
-      .catch(AdapterError.wrap(cb))
+      .catch(AdapterError.wrap(cb, null, null, { cxn, tableName }))
   },
 
   /**
    * Drop a table
    */
   drop (connectionName, tableName, relations = [ ], cb = relations) {
-    const key = (+(new Date()))+'-drop-'+JSON.stringify(tableName);
-    add(key);
     let cxn = Adapter.connections.get(connectionName)
 
-    return cxn.knex.schema.dropTableIfExists(tableName)
-      .then(() => {
-        return Promise.all(_.map(relations, relation => {
-          return cxn.knex.schema.dropTableIfExists(relation)
-        }))
+    // with foreign keys, the constraints that reference the table are dropped with it
+    let dropTable = (table, operation) => {
+      let references = ForeignKeyUtil.hasForeignKeys(cxn) ?
+        ForeignKeyUtil.getReferences(cxn, table, operation) :
+        Promise.resolve([ ])
+
+      return references.then(references => cxn.knex.transaction(txn => {
+        return Migration.run(txn, ForeignKeyUtil.buildDropReferences(references), operation)
+          .then(() => {
+            return txn.schema.withSchema(Util.getSchemaName(cxn, table)).dropTableIfExists(table)
+              .on('query', Operations.recordQuery(operation))
+          })
+      }))
+    }
+
+    return Operations.track(cxn, 'drop', tableName, operation => {
+        return dropTable(tableName, operation)
+          .then(() => {
+            return Promise.all(_.map(relations, relation => dropTable(relation, operation)))
+          })
       })
       .then(() => {
-        del(key)
+        _.each([ tableName, ...relations ], table => cxn.gistIndexes.delete(table))
         if (_.isFunction(cb)) { cb() }
       })
-      .catch(AdapterError.wrap(cb))
+      .catch(AdapterError.wrap(cb, null, null, { cxn, tableName }))
+  },
+
+  /**
+   * Alter a table to match its model: change the type, nullability, default,
+   * uniqueness and index of columns, add and drop columns, and rename the
+   * columns of attributes that declare renamedFrom. The steps run in one
+   * transaction.
+   *
+   * @param options.allowDestructive - run steps that can lose data
+   * @returns the steps that were applied: [ { sql, destructive } ]
+   */
+  alter (connectionName, tableName, options = { }, cb = options) {
+    let cxn = Adapter.connections.get(connectionName)
+    if (_.isFunction(options)) options = { }
+
+    return Operations.track(cxn, 'alter', tableName, operation => {
+        return Migration.alter(cxn, tableName, options, operation)
+      })
+      .then(steps => {
+        cxn.gistIndexes.delete(tableName)
+        return (_.isFunction(cb) ? cb(null, steps) : steps)
+      })
+      .catch(AdapterError.wrap(cb, null, null, { cxn, tableName }))
+  },
+
+  /**
+   * List the statements that the migrations of the models on a connection
+   * would run against the current database, without running them: define
+   * for new tables, drop and define for models that migrate with 'drop', and
+   * the alter steps (including added and removed attributes) for models that
+   * migrate with 'alter'.
+   *
+   * @param options.directory - write the plan as a timestamped .sql file,
+   *        with down statements, into this directory
+   * @param options.date - the timestamp of the file (now by default)
+   * @returns { steps: [ { table, sql, down, destructive } ], up, down, filename, sql }
+   */
+  plan (connectionName, options = { }, cb = options) {
+    let cxn = Adapter.connections.get(connectionName)
+    if (_.isFunction(options)) options = { }
+
+    return Operations.track(cxn, 'plan', null, operation => {
+        return Migration.plan(cxn, operation)
+      })
+      .then(steps => {
+        let plan = Migration.toFile(steps, connectionName, options.date)
+        if (!options.directory) return plan
+
+        return Migration.write(plan, options.directory)
+      })
+      .then(plan => {
+        return (_.isFunction(cb) ? cb(null, plan) : plan)
+      })
+      .catch(AdapterError.wrap(cb, null, null, { cxn }))
   },
 
   /**
    * Add a column to a table
    */
   addAttribute (connectionName, tableName, attributeName, definition, cb) {
-    const key = (+(new Date()))+'-addAttribute-'+JSON.stringify({table: tableName, attributeName:attributeName});
-    add(key);
     let cxn = Adapter.connections.get(connectionName)
     let schema = cxn.collections[tableName]
 
-    return cxn.knex.schema
-      .table(tableName, table => {
-        let newColumn = Util.toKnexColumn(table, attributeName, definition, schema, cxn.collections)
-        Util.applyColumnConstraints(newColumn, definition)
+    return Operations.track(cxn, 'addAttribute', tableName, operation => {
+        return EnumUtil.createTypes(cxn, tableName, { [attributeName]: definition }, schema.migrate, operation)
+          .then(enumTypes => {
+            return cxn.knex.schema
+              .withSchema(Util.getSchemaName(cxn, tableName))
+              .table(tableName, table => {
+                let newColumn = Util.toKnexColumn(table, attributeName, definition, schema, cxn.collections, enumTypes)
+                Util.applyColumnConstraints(newColumn, definition)
+              })
+              .on('query', Operations.recordQuery(operation))
+          })
       })
       .then(() => {
-        del(key)
+        cxn.gistIndexes.delete(tableName)
         if (_.isFunction(cb)) { cb() }
       })
-      .catch(AdapterError.wrap(cb))
+      .catch(AdapterError.wrap(cb, null, null, { cxn, tableName }))
   },
 
   /**
    * Remove a column from a table
    */
   removeAttribute (connectionName, tableName, attributeName, cb) {
-    const key = (+(new Date()))+'-removeAttribute-'+JSON.stringify({table: tableName, attributeName:attributeName});
-    add(key);
     let cxn = Adapter.connections.get(connectionName)
 
-    return cxn.knex.schema
-      .table(tableName, table => {
-        table.dropColumn(attributeName)
+    return Operations.track(cxn, 'removeAttribute', tableName, operation => {
+        return cxn.knex.schema
+          .withSchema(Util.getSchemaName(cxn, tableName))
+          .table(tableName, table => {
+            table.dropColumn(attributeName)
+          })
+          .on('query', Operations.recordQuery(operation))
       })
       .then(result => {
-        del(key)
+        cxn.gistIndexes.delete(tableName)
         return (_.isFunction(cb) ? cb(null, result) : result)
       })
-      .catch(AdapterError.wrap(cb))
+      .catch(AdapterError.wrap(cb, null, null, { cxn, tableName }))
   },
 
   /**
    * Create a new record
    */
-  create (connectionName, tableName, data, cb) {
-    const key = (+(new Date()))+'-create-'+JSON.stringify({table: tableName, data:data});
-    add(key);
+  create (connectionName, tableName, data, cb, txn) {
     let cxn = Adapter.connections.get(connectionName)
-    let insertData = Util.sanitize(data, cxn.collections[tableName], cxn)
     let schema = cxn.collections[tableName]
     let spatialColumns = SpatialUtil.buildSpatialSelect(schema.definition, tableName, cxn)
 
-    return cxn.knex(tableName)
-      .insert(insertData)
-      .returning([ '*', ...spatialColumns ])
+    return Operations.track(cxn, 'create', tableName, operation => {
+        Util.assertTransactionActive(txn)
+        return ContextUtil.run(cxn, txn, operation, txn => {
+          let insertData = Util.sanitize(data, schema, cxn)
+
+          return cxn.knex(tableName)
+            .withSchema(Util.getSchemaName(cxn, tableName))
+            .insert(insertData)
+            .returning([ '*', ...spatialColumns ])
+            .transacting(txn)
+            .on('query', Operations.recordQuery(operation))
+        })
+      })
       .then(rows => {
         let casted = Util.castResultRows(rows, schema)
         let result = _.isArray(data) ? casted : casted[0]
-        del(key)
         return (_.isFunction(cb) ? cb(null, result) : result)
       })
-      .catch(AdapterError.wrap(cb, null, data))
+      .catch(AdapterError.wrap(cb, txn, data, { cxn, tableName }))
   },
 
   /**
-   * Create multiple records
+   * Create multiple records in a single transaction. Records are inserted in
+   * chunks, or loaded with COPY when there are enough of them (see
+   * defaults.createEach)
    */
-  createEach (connectionName, tableName, records, cb) {
-    // TODO use knex.batchInsert
-    return Adapter.create(connectionName, tableName, records, cb)
+  createEach (connectionName, tableName, records = [ ], cb, txn) {
+    let cxn = Adapter.connections.get(connectionName)
+    let schema = cxn.collections[tableName]
+    let { chunkSize, copyThreshold } = cxn.config.createEach
+    let spatialColumns = SpatialUtil.buildSpatialSelect(schema.definition, tableName, cxn)
+
+    return Operations.track(cxn, 'createEach', tableName, operation => {
+        Util.assertTransactionActive(txn)
+        if (_.isEmpty(records)) return [ ]
+
+        return ContextUtil.run(cxn, txn, operation, txn => {
+          return Util.getTransaction(txn, cxn.knex).transaction(batchTxn => {
+            if (records.length >= copyThreshold) {
+              return Copy.insert(batchTxn, tableName, records, cxn, operation)
+            }
+
+            let chunks = _.chunk(Util.sanitize(records, schema, cxn), chunkSize)
+            return _.reduce(chunks, (inserted, chunk) => {
+              return inserted.then(rows => {
+                return batchTxn(tableName)
+                  .withSchema(Util.getSchemaName(cxn, tableName))
+                  .insert(chunk)
+                  .returning([ '*', ...spatialColumns ])
+                  .on('query', Operations.recordQuery(operation))
+                  .then(chunkRows => rows.concat(chunkRows))
+              })
+            }, Promise.resolve([ ]))
+          })
+        })
+      })
+      .then(rows => {
+        let result = Util.castResultRows(rows, schema)
+        return (_.isFunction(cb) ? cb(null, result) : result)
+      })
+      .catch(AdapterError.wrap(cb, txn, records, { cxn, tableName }))
   },
 
   /**
-   * Update a record
+   * Update records, and return them. Without anything to update, the records
+   * are only found.
    */
-  update (connectionName, tableName, options, data, cb) {
-    const key = (+(new Date()))+'-update-'+JSON.stringify({table: tableName, options:options, data: data});
-    add(key);
+  update (connectionName, tableName, options, data, cb, txn) {
     let cxn = Adapter.connections.get(connectionName)
     let schema = cxn.collections[tableName]
     let wlsql = new WaterlineSequel(cxn.schema, Adapter.wlSqlOptions)
-    let spatialColumns = SpatialUtil.getSpatialColumns(schema.definition)
-    let updateData = _.omit(data, _.keys(spatialColumns))
 
-    return new Promise((resolve, reject) => {
-        if (_.isEmpty(data)) {
-          return Adapter.find(connectionName, tableName, options, cb)
-        }
-        resolve(wlsql.update(tableName, options, updateData))
-      })
-      .then(({ query, values }) => {
-        return Adapter._query(cxn, query, values)
+    return Operations.track(cxn, 'update', tableName, operation => {
+        Util.assertTransactionActive(txn)
+        return ContextUtil.run(cxn, txn, operation, txn => {
+          let updateData = Util.sanitize(data, schema, cxn)
+
+          return new Promise((resolve, reject) => {
+              if (_.isEmpty(updateData)) {
+                return resolve(Adapter.buildFindQuery(cxn, tableName, options))
+              }
+              let { criteria, conditions } = Util.extractCriteria(tableName, schema.definition, options)
+              let arrayData = ArrayUtil.bindArrayValues(updateData, schema.definition)
+              let { query: updateQuery, values: updateValues } = wlsql.update(tableName, criteria, arrayData)
+              let { query, values } = Util.addWhereConditions(conditions, tableName, Util.qualifyQuery(cxn, tableName, updateQuery), updateValues)
+              let spatialColumns = SpatialUtil.buildSpatialSelect(schema.definition, tableName, cxn, options)
+
+              resolve({ query: Util.addReturningColumns(spatialColumns, query), values })
+            })
+            .then(({ query, values }) => {
+              operation.sql = query
+              return Adapter._query(cxn, query, values, txn)
+            })
+        })
       })
       .then(({ rows }) => {
-        del(key)
-        return (_.isFunction(cb) ? cb(null, rows) : rows)
+        let result = Util.castResultRows(rows, schema, options)
+        return (_.isFunction(cb) ? cb(null, result) : result)
       })
-      .catch(AdapterError.wrap(cb, null, data))
+      .catch(AdapterError.wrap(cb, txn, data, { cxn, tableName }))
   },
 
   /**
    * Destroy a record
    */
-  destroy (connectionName, tableName, options, cb) {
-    const key = (+(new Date()))+'-destroy-'+JSON.stringify({table: tableName, options:options});
-    add(key);
+  destroy (connectionName, tableName, options, cb, txn) {
     let cxn = Adapter.connections.get(connectionName)
     let wlsql = new WaterlineSequel(cxn.schema, Adapter.wlSqlOptions)
+    let schema = cxn.collections[tableName]
 
-    return new Promise((resolve, reject) => {
-        resolve(wlsql.destroy(tableName, options))
-      })
-      .then(({ query, values }) => {
-        return Adapter._query(cxn, query, values)
+    return Operations.track(cxn, 'destroy', tableName, operation => {
+        Util.assertTransactionActive(txn)
+        return ContextUtil.run(cxn, txn, operation, txn => {
+          let { criteria, conditions } = Util.extractCriteria(tableName, schema.definition, options)
+
+          return new Promise((resolve, reject) => {
+              resolve(wlsql.destroy(tableName, criteria))
+            })
+            .then(({ query: destroyQuery, values: destroyValues }) => {
+              let { query, values } = Util.addWhereConditions(conditions, tableName, Util.qualifyQuery(cxn, tableName, destroyQuery), destroyValues)
+              query = Util.addReturningColumns(SpatialUtil.buildSpatialSelect(schema.definition, tableName, cxn, options), query)
+
+              operation.sql = query
+              return Adapter._query(cxn, query, values, txn)
+            })
+        })
       })
       .then(({ rows }) => {
-        del(key)
-        return (_.isFunction(cb) ? cb(null, rows) : rows)
+        let result = Util.castResultRows(rows, schema, options)
+        return (_.isFunction(cb) ? cb(null, result) : result)
       })
-      .catch(AdapterError.wrap(cb))
+      .catch(AdapterError.wrap(cb, txn, null, { cxn, tableName }))
   },
 
   /**
    * Populate record associations
    */
-  join (connectionName, tableName, options, cb) {
-    const key = (+(new Date()))+'-join-'+JSON.stringify({table: tableName, options:options});
-    add(key);
+  join (connectionName, tableName, options, cb, txn) {
     let cxn = Adapter.connections.get(connectionName)
     let schema = cxn.collections[tableName]
 
-    return Util.buildKnexJoinQuery (cxn, tableName, options)
+    return Operations.track(cxn, 'join', tableName, operation => {
+        Util.assertTransactionActive(txn)
+        return ContextUtil.run(cxn, txn, operation, txn => {
+          return SpatialUtil.buildDistance(cxn, tableName, options)
+            .then(distance => {
+              return Util.buildKnexJoinQuery(cxn, tableName, options, distance)
+                .transacting(txn)
+                .on('query', Operations.recordQuery(operation))
+            })
+        })
+      })
       .then(result => {
         // return unique records only.
         // TODO move to SQL
@@ -420,118 +727,330 @@ const Adapter = {
           let schema = cxn.collections[join.child]
 
           _.each(result, row => {
-            row[alias] = Util.castResultRows(_.compact(_.uniqBy(row[alias], pk)), schema)
+            row[alias] = Util.castResultRows(_.compact(_.uniqBy(row[alias], pk)), schema, join.criteria)
           })
         })
 
         return result
       })
       .then(result => {
-        result = Util.castResultRows(result, schema)
-        del(key)
+        result = Util.castResultRows(result, schema, options)
         return (_.isFunction(cb) ? cb(null, result) : result)
       })
-      .catch(AdapterError.wrap(cb))
+      .catch(AdapterError.wrap(cb, txn, null, { cxn, tableName }))
   },
 
   /**
-   * Get the primary key column of a table
+   * Get the primary key column of a table. It is cached on the definition,
+   * where it is not enumerable, so that it is not taken for an attribute.
    */
   getPrimaryKey ({ collections }, tableName) {
-    const key = (+(new Date()))+'-getPrimaryKey-'+JSON.stringify(tableName);
-    add(key);
     let definition = collections[tableName].definition
 
-
     if (!definition._pk) {
       let pk = _.findKey(definition, (attr, name) => {
         return attr.primaryKey === true
       })
-      definition._pk = pk || 'id'
+      Object.defineProperty(definition, '_pk', { value: pk || 'id', configurable: true, writable: true })
     }
-    del(key)
+
     return definition._pk
   },
 
   /**
    * Find records
    */
-  find (connectionName, tableName, options, cb) {
-    const key = (+(new Date()))+'-find-'+JSON.stringify({table: tableName, options:options});
-    add(key);
+  find (connectionName, tableName, options, cb, txn) {
     let cxn = Adapter.connections.get(connectionName)
-    let wlsql = new WaterlineSequel(cxn.schema, Adapter.wlSqlOptions)
     let schema = cxn.collections[tableName]
 
-    //console.log('find', tableName, options)
-    //console.log('schema types', schema._types)
-
-    return new Promise((resolve, reject) => {
-        resolve(wlsql.find(tableName, options))
-      })
-      .then(({ query: [query], values: [values] }) => {
-        let spatialColumns = SpatialUtil.buildSpatialSelect(schema.definition, tableName, cxn)
-        let fullQuery = Util.addSelectColumns(spatialColumns, query)
-
-        //console.log('fullQuery', fullQuery)
-        //console.log('values', values)
-
-        return Adapter._query(cxn, fullQuery, values)
+    return Operations.track(cxn, 'find', tableName, operation => {
+        Util.assertTransactionActive(txn)
+        return ContextUtil.run(cxn, txn, operation, txn => {
+          return Adapter.buildFindQuery(cxn, tableName, options)
+            .then(({ query, values }) => {
+              operation.sql = query
+              return Adapter._query(cxn, query, values, txn)
+            })
+        })
       })
       .then(({ rows }) => {
-        let result = Util.castResultRows(rows, schema)
-        del(key)
+        let result = Util.castResultRows(rows, schema, options)
+        if (SpatialUtil.getFeatureGeometry(schema.definition, options)) {
+          result = SpatialUtil.toFeatureCollection(result, schema.definition, options, Adapter.getPrimaryKey(cxn, tableName))
+        }
         return (_.isFunction(cb) ? cb(null, result) : result)
       })
-      .catch(AdapterError.wrap(cb))
+      .catch(AdapterError.wrap(cb, txn, null, { cxn, tableName }))
+  },
+
+  /**
+   * Build the query of find with waterline-sequel, and add what
+   * waterline-sequel does not know about: the spatial columns, the spatial
+   * and jsonb criteria, the computed distance field and json path sorts.
+   *
+   * @returns a promise for { query, values }
+   */
+  buildFindQuery (cxn, tableName, options) {
+    let wlsql = new WaterlineSequel(cxn.schema, Adapter.wlSqlOptions)
+    let schema = cxn.collections[tableName]
+
+    return SpatialUtil.buildDistance(cxn, tableName, options)
+      .then(distance => {
+        let { criteria, conditions } = Util.extractCriteria(tableName, schema.definition, options)
+        let customSort = distance || JsonUtil.hasPathSort(schema.definition, criteria)
+        let findCriteria = customSort ? _.omit(criteria, [ 'distance', 'sort' ]) : criteria
+        let { query: [findQuery], values: [findValues] } = wlsql.find(tableName, findCriteria)
+        let { query, values } = Util.addWhereConditions(conditions, tableName, Util.qualifyQuery(cxn, tableName, findQuery), findValues)
+        let selectColumns = SpatialUtil.buildSpatialSelect(schema.definition, tableName, cxn, options)
+
+        if (distance) {
+          selectColumns.push(distance.select)
+        }
+        if (customSort && !_.isEmpty(criteria.sort)) {
+          query = Util.addOrderByClause(Util.buildOrderByClause(tableName, schema.definition, criteria, distance), query)
+        }
+
+        return { query: Util.addSelectColumns(selectColumns, query), values }
+      })
   },
 
   /**
    * Count the number of records
    */
-  count (connectionName, tableName, options, cb) {
-    const key = (+(new Date()))+'-count-'+JSON.stringify({table: tableName, options:options});
-    add(key);
+  count (connectionName, tableName, options, cb, txn) {
     let cxn = Adapter.connections.get(connectionName)
     let wlsql = new WaterlineSequel(cxn.schema, Adapter.wlSqlOptions)
+    let schema = cxn.collections[tableName]
 
-    return new Promise((resolve, reject) => {
-        resolve(wlsql.count(tableName, options))
-      })
-      .then(({ query: [query], values: [values] }) => {
-        return Adapter._query(cxn, query, values)
+    return Operations.track(cxn, 'count', tableName, operation => {
+        Util.assertTransactionActive(txn)
+        return ContextUtil.run(cxn, txn, operation, txn => {
+          let { criteria, conditions } = Util.extractCriteria(tableName, schema.definition, options)
+
+          return new Promise((resolve, reject) => {
+              resolve(wlsql.count(tableName, criteria))
+            })
+            .then(({ query: [countQuery], values: [countValues] }) => {
+              let { query, values } = Util.addWhereConditions(conditions, tableName, Util.qualifyQuery(cxn, tableName, countQuery), countValues)
+
+              operation.sql = query
+              return Adapter._query(cxn, query, values, txn)
+            })
+        })
       })
       .then(({ rows: [row] }) => {
         let count = Number(row.count)
-        del(key)
         return (_.isFunction(cb) ? cb(null, count) : count)
       })
-      .catch(AdapterError.wrap(cb))
+      .catch(AdapterError.wrap(cb, txn, null, { cxn, tableName }))
+  },
+
+  /**
+   * Render the records of a table as a Mapbox Vector Tile, for tile z/x/y of
+   * the web mercator grid
+   *
+   * Adapter.tile('postgresdb', 'place', { z: 12, x: 940, y: 1686, criteria: { where: { open: true } } })
+   *
+   * Options:
+   *  z, x, y: the tile
+   *  criteria: waterline criteria that select the records
+   *  attributes: the attributes to include as properties of the features
+   *    (defaults to all of the non-spatial attributes)
+   *  geometry: the spatial attribute to render (defaults to the first one)
+   *  layer: the name of the layer (defaults to the table name)
+   *  extent, buffer: of ST_AsMVTGeom (default 4096 and 256)
+   *
+   * @returns a promise for the tile, as a Buffer
+   */
+  tile (connectionName, tableName, options, cb, txn) {
+    let cxn = Adapter.connections.get(connectionName)
+
+    return Operations.track(cxn, 'tile', tableName, operation => {
+        Util.assertTransactionActive(txn)
+        return ContextUtil.run(cxn, txn, operation, txn => {
+          return SpatialUtil.buildTileQuery(cxn, tableName, options)
+            .transacting(txn)
+            .on('query', Operations.recordQuery(operation))
+        })
+      })
+      .then(({ rows: [row] }) => {
+        let tile = _.get(row, 'tile') || Buffer.alloc(0)
+        return (_.isFunction(cb) ? cb(null, tile) : tile)
+      })
+      .catch(AdapterError.wrap(cb, txn, null, { cxn, tableName }))
   },
 
   /**
-   * Run queries inside of a transaction.
+   * Run queries inside of a transaction. The semantic and association
+   * methods, query, procedure and stream accept the transaction as an
+   * optional last argument, after the callback. If one of those queries
+   * fails, the transaction is rolled back.
    *
-   * Model.transaction(txn => {
-   *   Model.create({ ... }, txn)
-   *     .then(newModel => {
-   *       return Model.update(..., txn)
-   *     })
+   * In place of a transaction, they accept a session context,
+   * e.g. { context: { userId: 42 } }; the call then runs in a transaction of
+   * its own, with the context applied (see defaults.context).
+   *
+   * Adapter.transaction('postgresdb', 'user')
+   *   .then(txn => {
+   *     return Adapter.create('postgresdb', 'user', { ... }, null, txn)
+   *       .then(newUser => {
+   *         return Adapter.update('postgresdb', 'user', { ... }, { ... }, null, txn)
+   *       })
+   *       .then(txn.commit)
    *   })
-   *   .then(txn.commit)
-   *   .catch(txn.rollback)
+   *
+   * Passing a parent transaction as options opens a nested transaction,
+   * backed by a SAVEPOINT. Committing it releases the savepoint, and rolling
+   * it back (explicitly, or because one of its queries failed) rolls back to
+   * the savepoint and leaves the parent transaction usable.
+   *
+   * Options of a top-level transaction:
+   *  isolationLevel: 'read committed', 'repeatable read' or 'serializable'
+   *  readOnly: true for READ ONLY, false for READ WRITE
+   *  deferrable: true for DEFERRABLE (with serializable and readOnly)
+   *  retry: true, or a policy overriding defaults.transactionRetry
+   *
+   * Any transaction can set a session context, e.g.
+   * { context: { userId: 42, role: 'app_user' } }, which is applied to it
+   * with SET LOCAL semantics (see defaults.context). A top-level transaction
+   * without one gets the context that context.current returns.
+   *
+   * With retry, cb is the body of the transaction: it is invoked with
+   * (null, txn) and must return a promise. The transaction is committed when
+   * that promise resolves and rolled back when it rejects. If PostgreSQL
+   * reports a serialization failure or a deadlock, the body is run again in
+   * a new transaction after a backoff delay. The returned promise resolves
+   * with the result of the body.
+   *
+   * Adapter.transaction('postgresdb', 'account', (err, txn) => {
+   *   return Adapter.update('postgresdb', 'account', { ... }, { ... }, null, txn)
+   * }, { isolationLevel: 'serializable', retry: true })
    */
-  transaction (connectionName, tableName, cb) {
-    const key = (+(new Date()))+'-transaction-'+JSON.stringify({table: tableName});
-    add(key);
+  transaction (connectionName, tableName, cb, options = { }) {
     let cxn = Adapter.connections.get(connectionName)
 
-    return new Promise(resolve => {
-      cxn.knex.transaction(txn => {
-        del(key)
-        return (_.isFunction(cb) ? cb(null, txn) : resolve(txn))
+    return Operations.track(cxn, 'transaction', tableName, operation => {
+        let settings = Util.getTransactionSettings(options, cxn.config)
+        Util.assertTransactionActive(settings.parent)
+
+        // a nested transaction has the context of its parent, unless it sets its own
+        if (!settings.parent) {
+          settings.context = ContextUtil.getContext(cxn, settings, operation)
+        }
+
+        if (settings.retry) {
+          return Util.retryTransaction(settings.retry, () => {
+            return Util.openTransaction(cxn, settings, txn => cb(null, txn))
+          })
+        }
+
+        // the operation is finished once the transaction is handed to the caller
+        return new Promise((resolve, reject) => {
+          Util
+            .openTransaction(cxn, settings, txn => {
+              resolve(txn)
+              if (_.isFunction(cb)) cb(null, txn)
+            })
+            // once the transaction has been handed out, a rollback error has
+            // already been passed to the caller of the query that failed
+            .catch(reject)
+        })
+      })
+      .catch(error => {
+        // with retry, cb is the body of the transaction, not a callback
+        let callback = _.get(options, 'retry') ? null : cb
+        return AdapterError.wrap(callback, null, null, { cxn, tableName })(error)
       })
-    })
+  },
+
+  /**
+   * The connection of a tenant, whose tables are in a schema of their own
+   * (see defaults.tenants). Every method accepts it in place of the name of
+   * the connection, and runs against the schema of the tenant:
+   *
+   * let acme = Adapter.tenant('postgresdb', 'acme')
+   * Adapter.find(acme, 'user', { where: { name: 'Bob' } })
+   * Adapter.query(acme, 'user', 'select count(*) from "user"', [ ])
+   *
+   * Models with a meta.schemaName of their own are shared by the tenants.
+   * A tenant connection shares the pool, the operations and the stats of
+   * its connection.
+   *
+   * @param connectionName
+   * @param tenant - the id of the tenant
+   * @returns the name of the connection of the tenant, e.g. 'postgresdb:acme'
+   */
+  tenant (connectionName, tenant) {
+    let cxn = Adapter.connections.get(connectionName)
+    return TenantUtil.getConnection(cxn, tenant).identity
+  },
+
+  /**
+   * Unregister the connection of a tenant (see Adapter.tenant), e.g. when
+   * the tenant is no longer active. Asking for the tenant again registers a
+   * new one. Its schema and the pool of the connection are left alone.
+   *
+   * @returns whether the tenant had a connection
+   */
+  releaseTenant (connectionName, tenant) {
+    let cxn = Adapter.connections.get(connectionName)
+    return TenantUtil.release(cxn, tenant)
+  },
+
+  /**
+   * List the tenants that have a schema on a connection
+   *
+   * @returns [ tenant ]
+   */
+  tenants (connectionName, cb) {
+    let cxn = Adapter.connections.get(connectionName)
+
+    return Operations.track(cxn, 'tenants', null, operation => {
+        return TenantUtil.list(cxn, operation)
+      })
+      .then(tenants => {
+        return (_.isFunction(cb) ? cb(null, tenants) : tenants)
+      })
+      .catch(AdapterError.wrap(cb, null, null, { cxn }))
+  },
+
+  /**
+   * Create the schema of a tenant, and define the tables of every model in
+   * it. Provisioning a tenant that exists defines its missing tables.
+   *
+   * @returns the name of the connection of the tenant
+   */
+  provisionTenant (connectionName, tenant, cb) {
+    let cxn = Adapter.connections.get(connectionName)
+
+    return Operations.track(cxn, 'provisionTenant', null, () => {
+        return TenantUtil.provision(cxn, tenant)
+      })
+      .then(tenantCxn => {
+        return (_.isFunction(cb) ? cb(null, tenantCxn.identity) : tenantCxn.identity)
+      })
+      .catch(AdapterError.wrap(cb, null, null, { cxn }))
+  },
+
+  /**
+   * Alter the tables of every tenant to match their models, and define the
+   * tables of new models (see Adapter.alter)
+   *
+   * @param options.allowDestructive - run steps that can lose data
+   * @returns { tenant: [ { table, sql, down, destructive } ] }
+   */
+  migrateTenants (connectionName, options = { }, cb = options) {
+    let cxn = Adapter.connections.get(connectionName)
+    if (_.isFunction(options)) options = { }
+
+    return Operations.track(cxn, 'migrateTenants', null, operation => {
+        return TenantUtil.migrate(cxn, options, operation)
+      })
+      .then(migrated => {
+        return (_.isFunction(cb) ? cb(null, migrated) : migrated)
+      })
+      .catch(AdapterError.wrap(cb, null, null, { cxn }))
   },
 
   /**
@@ -542,9 +1061,7 @@ const Adapter = {
    * @param procedureName the name of the stored procedure to invoke
    * @param args An array of arguments to pass to the stored procedure
    */
-  procedure (connectionName, procedureName, args = [ ], cb = args) {
-    const key = (+(new Date()))+'-procedure-'+JSON.stringify({procedure: procedureName});
-    add(key);
+  procedure (connectionName, procedureName, args = [ ], cb = args, txn) {
     let cxn = Adapter.connections.get(connectionName)
     let procedure = cxn.storedProcedures[procedureName.toLowerCase()]
 
@@ -553,37 +1070,58 @@ const Adapter = {
       return (_.isFunction(cb) ? cb(error) : Promise.reject(error))
     }
 
-    return procedure.invoke(args)
+    return Operations.track(cxn, 'procedure', null, operation => {
+        Util.assertTransactionActive(txn)
+        return ContextUtil.run(cxn, txn, operation, txn => {
+          return procedure.invoke(args)
+            .transacting(txn)
+            .on('query', Operations.recordQuery(operation))
+        })
+      })
       .then(result => {
-        del(key)
         return (_.isFunction(cb) ? cb(null, result) : result)
       })
-      .catch(AdapterError.wrap(cb))
+      .catch(AdapterError.wrap(cb, txn, null, { cxn }))
   },
 
   /**
-   * Stream query results
+   * Stream query results into outputStream. Records are read through a
+   * server-side cursor, options.batchSize (or defaults.stream.batchSize) rows
+   * at a time, and are casted like the results of find.
    *
-   * TODO not tested
+   * Errors are emitted on outputStream. If outputStream has no error
+   * listener, the returned promise is rejected instead.
    */
-  stream (connectionName, tableName, options, outputStream) {
-    const key = (+(new Date()))+'-stream-'+JSON.stringify({table: tableName, options:options});
-    add(key);
+  stream (connectionName, tableName, options, outputStream, txn) {
     let cxn = Adapter.connections.get(connectionName)
-    let wlsql = new WaterlineSequel(cxn.schema, Adapter.wlSqlOptions)
-
-    return new Promise((resolve, reject) => {
-        resolve(wlsql.find(tableName, options))
-      })
-      .then(({ query: [query], values: [values] }) => {
-        let resultStream = cxn.knex.raw(query, values)
-        resultStream.pipe(outputStream)
-        del(key)
-        return new Promise((resolve, reject) => {
-          resultStream.on('end', resolve)
+    let schema = cxn.collections[tableName]
+    let batchSize = options.batchSize || cxn.config.stream.batchSize
+
+    return Operations.track(cxn, 'stream', tableName, operation => {
+        Util.assertTransactionActive(txn)
+        return ContextUtil.run(cxn, txn, operation, txn => {
+          let client = Util.getTransaction(txn, cxn.knex).client
+
+          return Adapter.buildFindQuery(cxn, tableName, _.omit(options, 'batchSize'))
+            .then(({ query, values }) => {
+              let { sql, bindings } = cxn.knex.raw(Util.toKnexRawQuery(query), Util.castValues(values)).toSQL()
+
+              operation.sql = query
+              return client.acquireConnection()
+                .then(connection => {
+                  let cursorSql = client.positionBindings(sql)
+
+                  return Cursor.pipe(connection, cursorSql, bindings, schema, options, outputStream, batchSize)
+                    .then(() => client.releaseConnection(connection), error => {
+                      client.releaseConnection(connection)
+                      throw error
+                    })
+                })
+            })
         })
       })
-      .catch(AdapterError.wrap(cb))
+      // emit throws when outputStream has no error listener
+      .catch(AdapterError.wrap(error => outputStream.emit('error', error), txn, null, { cxn, tableName }))
   },
 
   /**
@@ -595,13 +1133,12 @@ const Adapter = {
    * @return {[type]}      [description]
    */
   teardown (conn, cb = conn) {
-    const key = (+(new Date()))+'-teardown';
-    add(key);
-    let connections = conn ? [ Adapter.connections.get(conn) ] : Adapter.connections.values()
+    let connections = conn ? [ Adapter.connections.get(conn) ] : [ ...Adapter.connections.values() ]
     let teardownPromises = [ ]
 
     for (let cxn of connections) {
-      if (!cxn) continue
+      // tenants share the pool of their connection
+      if (!cxn || cxn.parent) continue
 
       teardownPromises.push(cxn.knex.destroy())
     }
@@ -611,8 +1148,11 @@ const Adapter = {
         for (let cxn of connections) {
           if (!cxn) continue
           Adapter.connections.delete(cxn.identity)
+
+          for (let tenantCxn of TenantUtil.getConnections(cxn)) {
+            Adapter.connections.delete(tenantCxn.identity)
+          }
         }
-        del(key)
         return (_.isFunction(cb) ? cb() : null)
       })
       .catch(cb)
@@ -624,13 +1164,22 @@ const Adapter = {
    * @param connectionName
    */
   knex (connectionName) {
-    const key = (+(new Date()))+'-knex';
-    add(key);
     let cnx = Adapter.connections.get(connectionName)
     if (cnx) {
-      del(key)
       return cnx.knex
     }
+  },
+
+  /**
+   * Return the in-flight operations and knex pool usage of a connection
+   *
+   * @param connectionName
+   */
+  stats (connectionName) {
+    let cxn = Adapter.connections.get(connectionName)
+    if (cxn) {
+      return Operations.stats(cxn)
+    }
   }
 }
 export default Adapter
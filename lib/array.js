@@ -0,0 +1,203 @@
+import _ from 'lodash'
+import Pg from 'pg'
+import PgUtils from 'pg/lib/utils'
+
+const ArrayUtil = {
+
+  /**
+   * e.g. integer[], timestamptz[], character varying(20)[]
+   */
+  arrayTypeRegex: /^([a-z][a-z0-9_ ]*(?:\(\s*\d+\s*(?:,\s*\d+\s*)?\))?)\[\]$/i,
+  elementTypeRegex: /^[a-z][a-z0-9_ ]*(?:\(\s*\d+\s*(?:,\s*\d+\s*)?\))?$/i,
+
+  /**
+   * Get the element type of a typed array attribute, declared with arrayType
+   * or with an array dbType:
+   *
+   * tags: { type: 'array', arrayType: 'text' }
+   * scores: { type: 'array', dbType: 'integer[]' }
+   *
+   * @returns the lowercased element type, or undefined if the attribute is
+   *          not a typed array
+   */
+  getArrayType (definition) {
+    if (!definition) return
+
+    if (definition.arrayType) {
+      if (!ArrayUtil.elementTypeRegex.test(definition.arrayType)) {
+        throw new Error(`Invalid arrayType "${definition.arrayType}"`)
+      }
+      return _.toLower(definition.arrayType)
+    }
+    let [ $, elementType ] = ArrayUtil.arrayTypeRegex.exec(definition.dbType || '') || [ ]
+    return _.toLower(elementType) || undefined
+  },
+
+  /**
+   * Get the column type of an array attribute. Untyped arrays are text[], and
+   * their elements are stored as json text.
+   */
+  getColumnType (definition) {
+    let arrayType = ArrayUtil.getArrayType(definition)
+    return arrayType ? `${arrayType}[]` : 'text ARRAY'
+  },
+
+  isArrayColumn (definition) {
+    if (!definition) return false
+
+    return _.toLower(definition.type) === 'array' || !!ArrayUtil.getArrayType(definition)
+  },
+
+  /**
+   * Cast the elements of a typed array that come back as text, e.g. the
+   * timestamps in the json_agg of a populate. A json or jsonb array that
+   * comes back in its text form, e.g. '{"{\"n\": 1}","\"text\""}', is parsed.
+   */
+  castResult (value, definition) {
+    let arrayType = ArrayUtil.getArrayType(definition)
+    if (_.isString(value) && _.includes([ 'json', 'jsonb' ], arrayType)) {
+      return ArrayUtil.parseJsonArray(value)
+    }
+    if (!_.isArray(value)) return value
+
+    return _.map(value, item => {
+      if (_.isArray(item)) {
+        return ArrayUtil.castResult(item, definition)
+      }
+      if (!_.isString(item)) return item
+
+      if (/^(timestamp|date)/.test(arrayType)) {
+        return new Date(item)
+      }
+      if (_.includes([ 'integer', 'int', 'int4', 'smallint', 'int2' ], arrayType)) {
+        return parseInt(item, 10)
+      }
+      if (arrayType === 'boolean' || arrayType === 'bool') {
+        return item === 't' || item === 'true'
+      }
+      return item
+    })
+  },
+
+  /**
+   * Parse the text form of a json[] or jsonb[] array, as the type parsers
+   * that pg registers for them (oids 199 and 3807) do
+   */
+  parseJsonArray (value) {
+    return Pg.types.arrayParser.create(value, entry => _.isNull(entry) ? entry : JSON.parse(entry)).parse()
+  },
+
+  /**
+   * Serialize the elements of json and jsonb arrays, which pg would otherwise
+   * write as strings (and nested arrays as dimensions)
+   */
+  prepareValue (value, definition) {
+    if (!_.isArray(value) || !_.includes([ 'json', 'jsonb' ], ArrayUtil.getArrayType(definition))) {
+      return value
+    }
+    return _.map(value, item => _.isNil(item) ? item : JSON.stringify(item))
+  },
+
+  /**
+   * Bind a value as the literal that pg serializes it into (an array literal,
+   * for arrays). waterline-sequel would turn arrays into json strings, and
+   * Util.castValues parses strings that look like json arrays; both leave
+   * the literal alone.
+   */
+  toBinding (value) {
+    if (_.isNil(value)) return value
+
+    let literal = PgUtils.prepareValue(value)
+    return { toPostgres: () => literal }
+  },
+
+  /**
+   * Bind the array values of a record, for waterline-sequel's update
+   */
+  bindArrayValues (record, tableDefinition) {
+    return _.mapValues(record, (value, attr) => {
+      if (!_.isArray(value) || !ArrayUtil.isArrayColumn(tableDefinition[attr])) return value
+
+      return ArrayUtil.toBinding(value)
+    })
+  },
+
+  arrayModifiers: {
+    contains: '@>',
+    containedBy: '<@',
+    overlaps: '&&',
+    '@>': '@>',
+    '<@': '<@',
+    '&&': '&&',
+    any: 'any'
+  },
+
+  /**
+   * Remove the array modifiers from the where clause of criteria, and build
+   * them into sql conditions (with ? placeholders) instead. waterline-sequel
+   * does not know about them.
+   *
+   * where: {
+   *   tags: { contains: [ 'new', 'sale' ] },
+   *   scores: { any: 10 }
+   * }
+   *
+   * @returns { criteria, conditions: [ { sql, bindings } ] }
+   */
+  extractArrayCriteria (tableName, tableDefinition, criteria) {
+    let conditions = [ ]
+    let where = _.reduce(_.get(criteria, 'where'), (where, value, attr) => {
+      let definition = tableDefinition[attr]
+      let modifiers = _.intersection(_.keys(value), _.keys(ArrayUtil.arrayModifiers))
+
+      if (!ArrayUtil.isArrayColumn(definition) || !_.isPlainObject(value) || _.isEmpty(modifiers)) {
+        where[attr] = value
+        return where
+      }
+      _.each(modifiers, modifier => {
+        conditions.push(ArrayUtil.buildArrayCondition(tableName, attr, modifier, value[modifier], definition))
+      })
+      if (_.size(value) > modifiers.length) {
+        where[attr] = _.omit(value, modifiers)
+      }
+      return where
+    }, { })
+
+    if (_.isEmpty(conditions)) {
+      return { criteria, conditions }
+    }
+    return {
+      criteria: _.assign({ }, criteria, { where: _.isEmpty(where) ? null : where }),
+      conditions: conditions
+    }
+  },
+
+  /**
+   * contains: the attribute contains all of the elements (@>)
+   * containedBy: the elements of the attribute are all in the array (<@)
+   * overlaps: the attribute has an element in common with the array (&&)
+   * any: the attribute has the element
+   */
+  buildArrayCondition (tableName, attr, modifier, argument, definition) {
+    let column = `"${tableName}"."${attr}"`
+    let elementType = ArrayUtil.getArrayType(definition) || 'text'
+    let operator = ArrayUtil.arrayModifiers[modifier]
+
+    if (operator === 'any') {
+      if (_.isNil(argument) || _.isArray(argument)) {
+        throw new Error(`"any" criteria on ${attr} must be an element`)
+      }
+      return {
+        sql: `?::${elementType} = any(${column})`,
+        bindings: [ ArrayUtil.toBinding(argument) ]
+      }
+    }
+
+    return {
+      sql: `${column} ${operator} ?::${elementType}[]`,
+      bindings: [ ArrayUtil.toBinding(_.castArray(argument)) ]
+    }
+  }
+}
+
+export default ArrayUtil
@@ -0,0 +1,78 @@
+import _ from 'lodash'
+import Util from './util'
+
+/**
+ * Session context for row-level security policies. A context, e.g.
+ *
+ * { userId: 42, tenantId: 'acme', role: 'app_user' }
+ *
+ * is applied to a transaction as settings that are local to it:
+ * set_config('app.user_id', '42', true), set_config('app.tenant_id', 'acme', true),
+ * and set_config('role', 'app_user', true), which is SET LOCAL ROLE. Policies
+ * read them with current_setting('app.user_id').
+ */
+const ContextUtil = {
+
+  /**
+   * The context of a call: the context passed in place of its transaction,
+   * as { context }, or else the one that context.current of the connection
+   * returns. Calls in a transaction have the context of the transaction.
+   */
+  getContext (cxn, txn, operation) {
+    if (Util.isTransaction(txn)) return
+
+    let context = _.get(txn, 'context')
+    let current = _.get(cxn.config, 'context.current')
+    if (!context && _.isFunction(current)) {
+      context = current(operation.method, operation.table)
+    }
+    return _.isEmpty(context) ? undefined : context
+  },
+
+  /**
+   * The settings of a context, role first. Keys are snake_cased into the
+   * namespace of the connection (context.namespace), unless they are
+   * qualified already, e.g. 'jwt.claims.sub'.
+   *
+   * @returns [ [ name, value ] ]
+   */
+  getSettings (cxn, context) {
+    let namespace = _.get(cxn.config, 'context.namespace')
+    let settings = _.map(_.omitBy(context, _.isNil), (value, key) => {
+      let name = key === 'role' || _.includes(key, '.') ? key : `${namespace}.${_.snakeCase(key)}`
+      return [ name, _.isObject(value) ? JSON.stringify(value) : String(value) ]
+    })
+    return _.sortBy(settings, ([ name ]) => name !== 'role')
+  },
+
+  /**
+   * Apply a context to a transaction, until the transaction ends
+   */
+  apply (cxn, txn, context) {
+    let settings = ContextUtil.getSettings(cxn, context)
+    if (_.isEmpty(settings)) return Promise.resolve()
+
+    let calls = _.map(settings, () => 'set_config(?, ?, true)')
+    return txn.raw(`select ${calls.join(', ')}`, _.flatten(settings))
+  },
+
+  /**
+   * Run the body of a call in its transaction. A call with a context and no
+   * transaction runs in a transaction of its own, with the context applied,
+   * which is committed when the body resolves and rolled back when it
+   * rejects.
+   *
+   * @param fn - invoked with the transaction (or undefined); returns a promise
+   */
+  run (cxn, txn, operation, fn) {
+    let context = ContextUtil.getContext(cxn, txn, operation)
+    if (!context) {
+      return fn(Util.isTransaction(txn) ? txn : undefined)
+    }
+    return cxn.knex.transaction(contextTxn => {
+      return ContextUtil.apply(cxn, contextTxn, context).then(() => fn(contextTxn))
+    })
+  }
+}
+
+export default ContextUtil
@@ -0,0 +1,143 @@
+import _ from 'lodash'
+import CopyStreams from 'pg-copy-streams'
+import PgUtils from 'pg/lib/utils'
+import Util from './util'
+import SpatialUtil from './spatial'
+
+const Copy = {
+
+  /**
+   * Insert records with COPY ... FROM STDIN, and return the inserted rows.
+   *
+   * COPY cannot return rows or evaluate postgis functions, so the records are
+   * copied into a temporary staging table first, and then moved into the
+   * target table with INSERT ... SELECT ... RETURNING. Spatial attributes are
+   * staged as geojson or EWKT text and converted into geometries.
+   *
+   * Records are copied in groups of the same attributes, so that the columns
+   * a record leaves out get their defaults, as they do in an INSERT. The rows
+   * are returned in the order of the records.
+   *
+   * @param txn - the knex transaction to run in
+   * @param tableName
+   * @param records
+   * @param cxn
+   * @param operation - the tracked adapter operation
+   */
+  insert (txn, tableName, records, cxn, operation) {
+    let schema = cxn.collections[tableName]
+    let data = Util.sanitize(records, schema, cxn, SpatialUtil.toGeometryText)
+    let groups = _.groupBy(_.range(data.length), index => JSON.stringify(_.sortBy(_.keys(data[index]))))
+    let rows = [ ]
+
+    return _.reduce(groups, (copied, indexes) => {
+        return copied
+          .then(() => Copy.copy(txn, tableName, _.at(data, indexes), cxn, operation))
+          .then(groupRows => {
+            _.each(groupRows, (row, i) => { rows[indexes[i]] = row })
+          })
+      }, Promise.resolve())
+      .then(() => rows)
+  },
+
+  /**
+   * Copy sanitized records that have the same attributes (see Copy.insert)
+   */
+  copy (txn, tableName, data, cxn, operation) {
+    let schema = cxn.collections[tableName]
+    let columns = _.keys(_.head(data))
+    let spatialColumns = _.keys(_.pick(SpatialUtil.getSpatialColumns(schema.definition), columns))
+    let stagingTable = _.uniqueId(`wl_copy_${tableName}_`.substring(0, 50))
+    let columnList = _.map(columns, column => `"${column}"`).join(', ')
+    let table = Util.quoteTable(cxn, tableName)
+    let returning = [ '*', ...SpatialUtil.buildSpatialSelect(schema.definition, tableName, cxn) ]
+
+    // records without attributes have nothing to copy
+    if (_.isEmpty(columns)) {
+      return _.reduce(data, inserted => {
+        return inserted.then(rows => {
+          return txn.raw(`insert into ${table} default values returning ${returning.join(', ')}`)
+            .then(result => rows.concat(result.rows))
+        })
+      }, Promise.resolve([ ]))
+    }
+
+    return txn
+      .raw(`
+        create temp table "${stagingTable}" on commit drop as
+        select ${columnList} from ${table} with no data
+      `)
+      .then(() => {
+        if (_.isEmpty(spatialColumns)) return
+
+        let alterations = _.map(spatialColumns, column => `alter column "${column}" type text`)
+        return txn.raw(`alter table "${stagingTable}" ${alterations.join(', ')}`)
+      })
+      .then(() => {
+        return txn.client.acquireConnection()
+      })
+      .then(connection => {
+        let copyQuery = `copy "${stagingTable}" (${columnList}) from stdin with (format csv)`
+
+        operation.sql = copyQuery
+        return Copy.write(connection, copyQuery, data, columns)
+      })
+      .then(() => {
+        let selectList = _.map(columns, column => {
+          if (!_.includes(spatialColumns, column)) {
+            return `"${column}"`
+          }
+          return SpatialUtil.toNativeSrid(SpatialUtil.geometryFromText(`"${column}"`), schema.definition[column])
+        })
+
+        return txn.raw(`
+          insert into ${table} (${columnList})
+          select ${selectList.join(', ')} from "${stagingTable}"
+          returning ${returning.join(', ')}
+        `)
+      })
+      .then(({ rows }) => rows)
+  },
+
+  /**
+   * Stream the records into a COPY ... FROM STDIN query as csv, respecting
+   * backpressure on the copy stream.
+   */
+  write (connection, copyQuery, data, columns) {
+    return new Promise((resolve, reject) => {
+      let stream = connection.query(CopyStreams.from(copyQuery))
+      let index = 0
+
+      let writeRows = () => {
+        while (index < data.length) {
+          let row = Copy.toCsvRow(data[index++], columns)
+          if (!stream.write(row)) {
+            return stream.once('drain', writeRows)
+          }
+        }
+        stream.end()
+      }
+
+      stream.on('error', reject)
+      stream.on('end', resolve)
+      writeRows()
+    })
+  },
+
+  toCsvRow (record, columns) {
+    return _.map(columns, column => Copy.toCsvValue(record[column])).join(',') + '\n'
+  },
+
+  /**
+   * Serialize a value the same way pg serializes query parameters, quoted
+   * for csv. An unquoted empty field is read by COPY as NULL.
+   */
+  toCsvValue (value) {
+    if (_.isNil(value)) return ''
+
+    let text = Buffer.isBuffer(value) ? `\\x${value.toString('hex')}` : PgUtils.prepareValue(value)
+    return `"${String(text).replace(/"/g, '""')}"`
+  }
+}
+
+export default Copy
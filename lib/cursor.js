@@ -0,0 +1,71 @@
+import _ from 'lodash'
+import { Transform } from 'stream'
+import QueryStream from 'pg-query-stream'
+import Util from './util'
+
+const Cursor = {
+
+  /**
+   * Run a query through a server-side cursor on the given pg connection, and
+   * pipe the casted rows into outputStream. Rows are fetched batchSize at a
+   * time, as outputStream consumes them.
+   *
+   * If outputStream closes or errors before all rows have been read, the
+   * cursor is closed. The returned promise settles once the connection is no
+   * longer in use by the cursor.
+   *
+   * @param connection - a pg client
+   * @param sql - a query with $n placeholders
+   * @param bindings
+   * @param schema - the waterline collection the rows belong to
+   * @param criteria - the criteria of the query, for castResultValues
+   * @param outputStream
+   * @param batchSize
+   */
+  pipe (connection, sql, bindings, schema, criteria, outputStream, batchSize) {
+    return new Promise((resolve, reject) => {
+      let queryStream = connection.query(new QueryStream(sql, bindings, { batchSize }))
+      let castStream = new Transform({
+        objectMode: true,
+        transform (row, encoding, next) {
+          try {
+            next(null, Util.castResultValues(row, schema, criteria))
+          }
+          catch (error) {
+            next(error)
+          }
+        }
+      })
+
+      let finished = false
+      let finish = error => {
+        if (finished) return
+        finished = true
+
+        outputStream.removeListener('close', abort)
+        outputStream.removeListener('error', abort)
+        return (error ? reject(error) : resolve())
+      }
+      let abort = () => {
+        if (finished) return
+
+        queryStream.unpipe(castStream)
+        castStream.unpipe(outputStream)
+        queryStream.close(() => finish())
+      }
+
+      queryStream.on('error', finish)
+      castStream.on('error', error => {
+        queryStream.unpipe(castStream)
+        queryStream.close(() => finish(error))
+      })
+      castStream.on('end', () => finish())
+      outputStream.on('close', abort)
+      outputStream.on('error', abort)
+
+      queryStream.pipe(castStream).pipe(outputStream)
+    })
+  }
+}
+
+export default Cursor
@@ -0,0 +1,145 @@
+import _ from 'lodash'
+import SQL from './sql'
+import Util from './util'
+import Operations from './operations'
+
+const EnumUtil = {
+
+  /**
+   * Whether an attribute is stored as a native enum type instead of text with
+   * a CHECK constraint. Attributes opt in with nativeEnum: true, or all of
+   * the enum attributes on a connection with nativeEnums: true.
+   */
+  isNativeEnum (definition, cxn) {
+    if (!definition || !_.isArray(definition.enum)) return false
+
+    return !!_.get(definition, 'nativeEnum', _.get(cxn, 'config.nativeEnums'))
+  },
+
+  /**
+   * e.g. the mood attribute of the user model is of type user_mood_enum, in
+   * the schema of the table
+   */
+  getTypeName (tableName, columnName) {
+    return `${tableName}_${columnName}_enum`.substring(0, 63)
+  },
+
+  /**
+   * @returns { attributeName: { typeName, values } } for the native enum
+   *          attributes of a definition
+   */
+  getNativeEnums (cxn, tableName, definition) {
+    return _.reduce(definition, (enums, attr, attributeName) => {
+      if (!EnumUtil.isNativeEnum(attr, cxn)) return enums
+
+      enums[attributeName] = {
+        typeName: EnumUtil.getTypeName(tableName, attr.columnName || attributeName),
+        values: _.map(attr.enum, String)
+      }
+      return enums
+    }, { })
+  },
+
+  /**
+   * Create the enum types of the native enum attributes in a definition, or
+   * reuse them if they exist. Values missing from an existing type are added
+   * with ALTER TYPE ... ADD VALUE when the model migrates with 'alter', and
+   * are an error otherwise.
+   *
+   * @returns { attributeName: type }, where type is the quoted (and schema
+   *          qualified) type name
+   */
+  createTypes (cxn, tableName, definition, migrate, operation) {
+    return EnumUtil.planTypes(cxn, tableName, definition, migrate, operation)
+      .then(({ enumTypes, steps }) => {
+        return _.reduce(steps, (promise, { sql }) => {
+          return promise.then(() => EnumUtil.run(cxn, sql, operation))
+        }, Promise.resolve())
+        .then(() => enumTypes)
+      })
+  },
+
+  /**
+   * List the statements that createTypes would run, without running them.
+   *
+   * @returns { enumTypes: { attributeName: type }, steps: [ { sql, down, transaction } ] }
+   */
+  planTypes (cxn, tableName, definition, migrate, operation) {
+    let enums = EnumUtil.getNativeEnums(cxn, tableName, definition)
+    let enumTypes = _.mapValues(enums, ({ typeName }) => Util.quoteTable(cxn, tableName, typeName))
+    if (_.isEmpty(enums)) return Promise.resolve({ enumTypes, steps: [ ] })
+
+    return EnumUtil.getTypes(cxn, tableName, _.map(enums, 'typeName'), operation)
+      .then(types => {
+        let steps = _.flatMap(_.uniqBy(_.values(enums), 'typeName'), ({ typeName, values }) => {
+          let type = Util.quoteTable(cxn, tableName, typeName)
+          if (!types[typeName]) {
+            return [ { sql: EnumUtil.buildCreateType(type, values), down: `drop type ${type}` } ]
+          }
+          let missing = _.difference(values, types[typeName])
+          if (_.isEmpty(missing)) return [ ]
+
+          if (migrate !== 'alter') {
+            throw new Error(`The enum type ${typeName} is missing the values ${missing.join(', ')}; ` +
+              `add them, or migrate the model with 'alter'`)
+          }
+          // enum values cannot be removed
+          return _.map(EnumUtil.buildAddValues(type, values, types[typeName]), sql => {
+            return { sql, down: null, transaction: false }
+          })
+        })
+        return { enumTypes, steps }
+      })
+  },
+
+  /**
+   * @returns { typeName: [ values ] } for the enum types that exist in the
+   *          schema of a table
+   */
+  getTypes (cxn, tableName, typeNames, operation) {
+    return cxn.knex.raw(SQL.enumTypes, [ typeNames, Util.getSchemaName(cxn, tableName) ])
+      .on('query', Operations.recordQuery(operation))
+      .then(({ rows }) => {
+        return _.fromPairs(_.map(rows, ({ name, values }) => [ name, values ]))
+      })
+  },
+
+  buildCreateType (type, values) {
+    let labels = _.map(values, EnumUtil.quoteLiteral)
+    return `create type ${type} as enum (${labels.join(', ')})`
+  },
+
+  /**
+   * Add the missing values to an enum type, each one after the value that
+   * precedes it in the attribute (or else before the first existing value),
+   * so that the order of the type follows the attribute.
+   *
+   * ALTER TYPE ... ADD VALUE cannot run in a transaction block before
+   * PostgreSQL 12, so these are run one at a time, outside of one.
+   */
+  buildAddValues (type, values, existingValues) {
+    return _.compact(_.map(values, (value, index) => {
+      if (_.includes(existingValues, value)) return
+
+      let position = index === 0 ?
+        `before ${EnumUtil.quoteLiteral(_.head(existingValues))}` :
+        `after ${EnumUtil.quoteLiteral(values[index - 1])}`
+
+      return `alter type ${type} add value if not exists ${EnumUtil.quoteLiteral(value)} ${position}`
+    }))
+  },
+
+  /**
+   * DDL statements cannot have bind parameters, so labels are inlined as
+   * string literals
+   */
+  quoteLiteral (value) {
+    return `'${String(value).replace(/'/g, "''")}'`
+  },
+
+  run (cxn, statement, operation) {
+    return cxn.knex.raw(statement).on('query', Operations.recordQuery(operation))
+  }
+}
+
+export default EnumUtil
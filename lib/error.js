@@ -1,23 +1,238 @@
 import _ from 'lodash'
 import AdapterUtil from './util'
+import SpatialUtil from './spatial'
 
+/**
+ * Resolve the attributes named by a postgres error. Postgres reports columns
+ * (in the error fields, the "Key (...)=(...)" detail, the constraint name, or
+ * not at all); these are translated into the attribute names of the model.
+ */
+const Attributes = {
+
+  keyDetailRegex: /^Key \((.+?)\)=\((.*?)\)/,
+  constraintSuffixRegex: /_(unique|key|pkey|fkey|foreign|check|excl)$/,
+  quotedValueRegex: /(?:: "(.*)"|value "(.*)" is out of range for type [\w ]+)$/,
+  maxLengthRegex: /\((\d+)\)$/,
+  geometryTypeRegex: /Geometry type \((\w+)\) does not match column type \((\w+)\)/,
+  typmodRegex: /does not match column|dimension but (geometry|column) does not/,
+
+  /**
+   * e.g. pgError.column = 'email'
+   */
+  fromColumn (pgError, context) {
+    if (!pgError.column) return { }
+
+    return Attributes.build(context, [ pgError.column ])
+  },
+
+  /**
+   * e.g. Key (email)=(a@example.com) already exists.
+   *      Key (owner, name)=(1, foo) already exists.
+   *      Key (owner)=(5) is not present in table "user".
+   */
+  fromDetail (pgError, context) {
+    let [ $, columnList, valueList ] = Attributes.keyDetailRegex.exec(pgError.detail || '') || [ ]
+    if (!columnList) return Attributes.fromConstraint(pgError, context)
+
+    let columns = _.map(columnList.split(', '), column => {
+      // expression indexes, e.g. lower((email)::text)
+      let [ $, name ] = /(\w+)"?\)*(::\w+)?\)*$/.exec(column) || [ null, column ]
+      return _.trim(name, '"')
+    })
+    let values = valueList.split(', ')
+    if (values.length !== columns.length) {
+      values = [ ]
+    }
+
+    return Attributes.build(context, columns, _.zipObject(columns, values))
+  },
+
+  /**
+   * Find the columns in a constraint name generated by knex, e.g.
+   * user_email_unique, or by postgres, e.g. user_owner_fkey
+   */
+  fromConstraint (pgError, context) {
+    let tableName = pgError.table || context.tableName
+    let name = (pgError.constraint || '').replace(Attributes.constraintSuffixRegex, '')
+    if (!name) return { }
+
+    if (tableName && _.startsWith(name, `${tableName}_`)) {
+      name = name.substring(tableName.length + 1)
+    }
+
+    return Attributes.build(context, Attributes.splitColumns(name, Attributes.getColumns(context)) || [ ])
+  },
+
+  /**
+   * Split the rest of a constraint name into the columns it is named after,
+   * e.g. owner_id_name into [ 'owner_id', 'name' ]. Every part has to be a
+   * whole column, so that owner_id does not also name id.
+   *
+   * @returns the columns, or undefined if the name does not split into them
+   */
+  splitColumns (name, columns) {
+    if (_.includes(columns, name)) return [ name ]
+
+    for (let column of columns) {
+      if (!_.startsWith(name, `${column}_`)) continue
+
+      let rest = Attributes.splitColumns(name.substring(column.length + 1), columns)
+      if (rest) return [ column, ...rest ]
+    }
+  },
+
+  /**
+   * Find the attributes in the payload that hold the value quoted in the
+   * error message, e.g. invalid input syntax for integer: "abc", or
+   * value "99999999999" is out of range for type integer. The message ends
+   * the error message, after the query that knex puts first.
+   */
+  fromMessageValue (pgError, context) {
+    let [ $, inputValue, rangeValue ] = Attributes.quotedValueRegex.exec(pgError.message || '') || [ ]
+    let value = _.isUndefined(inputValue) ? rangeValue : inputValue
+    if (_.isUndefined(value)) return Attributes.fromColumn(pgError, context)
+
+    let attributes = _.keys(_.pickBy(Attributes.getPayload(context), attrValue => {
+      return !_.isNil(attrValue) && String(attrValue) === value
+    }))
+
+    return Attributes.buildFromAttributes(context, attributes)
+  },
+
+  /**
+   * Find the string attributes in the payload that are longer than the length
+   * in the error message, e.g. value too long for type character varying(10)
+   */
+  fromValueLength (pgError, context) {
+    let [ $, maxLength ] = Attributes.maxLengthRegex.exec(pgError.message || '') || [ ]
+    if (!maxLength) return { }
+
+    let attributes = _.keys(_.pickBy(Attributes.getPayload(context), value => {
+      return _.isString(value) && value.length > Number(maxLength)
+    }))
+
+    return Attributes.buildFromAttributes(context, attributes)
+  },
+
+  /**
+   * Find the spatial attributes in the payload that can violate the typmod
+   * named in the error message, e.g.
+   * Geometry type (Polygon) does not match column type (Point)
+   */
+  fromTypmod (pgError, context) {
+    let [ $, geometryType, columnType ] = Attributes.geometryTypeRegex.exec(pgError.message || '') || [ ]
+    let definition = _.get(context, 'collection.definition')
+
+    let attributes = _.filter(_.keys(Attributes.getPayload(context)), attr => {
+      let attrDefinition = _.get(definition, attr)
+      if (!SpatialUtil.isSpatialColumn(attrDefinition)) return false
+
+      return !columnType || _.toLower(SpatialUtil.getGeometryType(attrDefinition)) === _.toLower(columnType)
+    })
+
+    return Attributes.buildFromAttributes(context, attributes)
+  },
+
+  /**
+   * Build a { attribute: value } map from a list of columns
+   */
+  build (context, columns, values = { }) {
+    let attributes = _.map(columns, column => Attributes.getAttributeName(context, column))
+    let payload = Attributes.getPayload(context)
+
+    return _.zipObject(attributes, _.map(columns, (column, i) => {
+      if (_.has(values, column)) return values[column]
+      return _.has(payload, column) ? payload[column] : payload[attributes[i]]
+    }))
+  },
+
+  /**
+   * Build a { attribute: value } map from the keys of the payload, which
+   * waterline writes by column name
+   */
+  buildFromAttributes (context, keys) {
+    let payload = Attributes.getPayload(context)
+    return _.zipObject(_.map(keys, key => Attributes.getAttributeName(context, key)), _.map(keys, key => payload[key]))
+  },
+
+  /**
+   * The attribute of a column, by the columnName of the model attributes
+   * (waterline keys the definition by column name), or of the definition
+   */
+  getAttributeName (context, column) {
+    let attributes = _.get(context, 'collection._attributes') || _.get(context, 'collection.definition')
+    let attribute = _.findKey(attributes, (attr, name) => (_.get(attr, 'columnName') || name) === column)
+
+    return attribute || column
+  },
+
+  getColumns (context) {
+    let definition = _.get(context, 'collection.definition')
+    return _.map(definition, (attr, name) => attr.columnName || name)
+  },
+
+  /**
+   * The record that was being written. For a batch insert, the first record
+   * is used.
+   */
+  getPayload ({ payload }) {
+    let record = _.isArray(payload) ? _.head(payload) : payload
+    return _.isPlainObject(record) ? record : { }
+  }
+}
 
 const Errors = {
 
-  E_UNIQUE (pgError) {
+  build (code, rule, pgError, attributes) {
     return {
-      code: 'E_UNIQUE',
+      code: code,
       message: pgError.message,
-      invalidAttributes: [ pgError.column ]
+      invalidAttributes: _.mapValues(attributes, value => [{ rule: rule, value: value }]),
+      originalError: pgError
     }
   },
 
-  E_NOTNULL (pgError) {
-    return {
-      code: 'E_UNIQUE',
-      message: pgError.message,
-      invalidAttributes: [ pgError.column ]
+  E_UNIQUE (pgError, context) {
+    return Errors.build('E_UNIQUE', 'unique', pgError, Attributes.fromDetail(pgError, context))
+  },
+
+  E_NOTNULL (pgError, context) {
+    return Errors.build('E_NOTNULL', 'required', pgError, Attributes.fromColumn(pgError, context))
+  },
+
+  E_FOREIGNKEY (pgError, context) {
+    return Errors.build('E_FOREIGNKEY', 'foreignKey', pgError, Attributes.fromDetail(pgError, context))
+  },
+
+  E_CHECK (pgError, context) {
+    let attributes = pgError.column ? Attributes.fromColumn(pgError, context) : Attributes.fromConstraint(pgError, context)
+    return Errors.build('E_CHECK', 'check', pgError, attributes)
+  },
+
+  E_EXCLUSION (pgError, context) {
+    return Errors.build('E_EXCLUSION', 'exclusion', pgError, Attributes.fromDetail(pgError, context))
+  },
+
+  E_TOOLONG (pgError, context) {
+    return Errors.build('E_TOOLONG', 'maxLength', pgError, Attributes.fromValueLength(pgError, context))
+  },
+
+  E_INVALIDTYPE (pgError, context) {
+    return Errors.build('E_INVALIDTYPE', 'type', pgError, Attributes.fromMessageValue(pgError, context))
+  },
+
+  E_OUTOFRANGE (pgError, context) {
+    return Errors.build('E_OUTOFRANGE', 'range', pgError, Attributes.fromMessageValue(pgError, context))
+  },
+
+  /**
+   * postgis reports typmod violations as invalid_parameter_value
+   */
+  E_GEOMETRYTYPE (pgError, context) {
+    if (!Attributes.typmodRegex.test(pgError.message)) {
+      return buildError('E_DATA')(pgError)
     }
+    return Errors.build('E_GEOMETRYTYPE', 'geometryType', pgError, Attributes.fromTypmod(pgError, context))
   },
 
   E_PGERROR (pgError) {
@@ -25,6 +240,17 @@ const Errors = {
   }
 }
 
+/**
+ * Map errors that are not specific to any attribute
+ */
+const buildError = code => pgError => {
+  return {
+    code: code,
+    message: pgError.message,
+    originalError: pgError
+  }
+}
+
 const PostgresErrorMapping = {
   // uniqueness constraint violation
   '23505': Errors.E_UNIQUE,
@@ -35,26 +261,89 @@ const PostgresErrorMapping = {
   '23502': Errors.E_NOTNULL,
   '39004': Errors.E_NOTNULL,
 
-  // todo finish mapping
+  // other integrity constraint violations
+  '23503': Errors.E_FOREIGNKEY,
+  '23514': Errors.E_CHECK,
+  '23P01': Errors.E_EXCLUSION,
+
+  // data exceptions
+  '22001': Errors.E_TOOLONG,
+  '22P02': Errors.E_INVALIDTYPE,
+  '22007': Errors.E_INVALIDTYPE,
+  '22003': Errors.E_OUTOFRANGE,
+  '22008': Errors.E_OUTOFRANGE,
+  '22023': Errors.E_GEOMETRYTYPE,
+
+  // transaction rollback
+  '40001': buildError('E_SERIALIZATION'),
+  '40P01': buildError('E_DEADLOCK'),
+
+  // undefined objects
+  '42P01': buildError('E_UNDEFINEDTABLE'),
+  '42703': buildError('E_UNDEFINEDCOLUMN'),
+
+  // query canceled, e.g. by statement_timeout
+  '57014': buildError('E_TIMEOUT')
+}
+
+/**
+ * Fallback mappings by SQLSTATE class (the first two characters of the code)
+ */
+const PostgresErrorClassMapping = {
+  '08': buildError('E_CONNECTION'),
+  '22': buildError('E_DATA'),
+  '23': buildError('E_CONSTRAINT'),
+  '40': buildError('E_TRANSACTION'),
+  '42': buildError('E_QUERY'),
+  '53': buildError('E_RESOURCES')
 }
 
 const AdapterError = {
-  wrap (cb, txn, payload) {
+
+  /**
+   * Return an error handler that maps postgres errors, notifies the
+   * connection's onError hook, rolls back txn if there is one, and then
+   * passes the error to cb (or rejects, if there is no cb).
+   *
+   * @param cb
+   * @param txn
+   * @param payload - the data that was being written, if any
+   * @param context - { cxn, tableName } of the failed operation
+   */
+  wrap (cb, txn, payload, context = { }) {
     return function (pgError) {
-      let errorWrapper = PostgresErrorMapping[pgError.code]
-      let error = pgError
+      let error = AdapterError.map(pgError, {
+        payload: payload,
+        tableName: context.tableName,
+        collection: _.get(context, [ 'cxn', 'collections', context.tableName ])
+      })
 
-      if (_.isFunction(errorWrapper)) {
-        error = errorWrapper(pgError)
+      let onError = _.get(context, 'cxn.config.onError')
+      if (_.isFunction(onError)) {
+        onError(error, context.tableName)
       }
 
-      console.error(error)
       if (AdapterUtil.isTransaction(txn)) {
-        return txn.rollback().then(AdapterError.wrap(cb))
+        return txn.rollback(error).then(() => AdapterError.callback(cb, error))
       }
 
-      _.isFunction(cb) && cb(error)
+      return AdapterError.callback(cb, error)
     }
+  },
+
+  map (pgError, context) {
+    let code = _.get(pgError, 'code')
+    if (!_.isString(code)) return pgError
+
+    let errorWrapper = PostgresErrorMapping[code] || PostgresErrorClassMapping[code.substring(0, 2)]
+    return (_.isFunction(errorWrapper) ? errorWrapper(pgError, context) : pgError)
+  },
+
+  /**
+   * Pass the error to the callback if there is one, otherwise reject
+   */
+  callback (cb, error) {
+    return (_.isFunction(cb) ? cb(error) : Promise.reject(error))
   }
 }
 
@@ -0,0 +1,228 @@
+import _ from 'lodash'
+import camelize from 'camelize'
+import Adapter from './adapter'
+import SQL from './sql'
+import Util from './util'
+import Operations from './operations'
+
+const ForeignKeyUtil = {
+
+  actions: [ 'no action', 'restrict', 'cascade', 'set null', 'set default' ],
+
+  /**
+   * The constraint options of an association attribute, or undefined if the
+   * association does not get a foreign key constraint. Associations opt in
+   * with foreignKeys on the connection (true, or an object of default
+   * options), or with onDelete, onUpdate or deferrable on the attribute:
+   *
+   * owner: { model: 'user', onDelete: 'set null', deferrable: true }
+   *
+   * deferrable is true (or 'deferred') for DEFERRABLE INITIALLY DEFERRED, or
+   * 'immediate' for DEFERRABLE INITIALLY IMMEDIATE.
+   *
+   * @returns { onDelete, onUpdate, deferrable }
+   */
+  getOptions (definition, cxn) {
+    let config = _.get(cxn, 'config.foreignKeys')
+    let options = _.pick(definition, 'onDelete', 'onUpdate', 'deferrable')
+    if (!config && _.isEmpty(options)) return
+
+    options = _.defaults(options, _.isPlainObject(config) ? config : { })
+    _.each([ 'onDelete', 'onUpdate' ], key => {
+      if (options[key] && !_.includes(ForeignKeyUtil.actions, _.toLower(options[key]))) {
+        throw new Error(`Invalid ${key} "${options[key]}"; use one of ${ForeignKeyUtil.actions.join(', ')}`)
+      }
+    })
+    return options
+  },
+
+  /**
+   * The table and column that an association attribute references: the
+   * primary key of the model of a model association, or the references and
+   * on of a junction table attribute
+   *
+   * @returns { referencedTable, referencedColumn }
+   */
+  getReference (cxn, definition) {
+    if (definition.model) {
+      let tableName = _.findKey(cxn.collections, collection => collection.identity === definition.model) || definition.model
+      if (!cxn.collections[tableName]) return
+
+      let primaryKey = Adapter.getPrimaryKey(cxn, tableName)
+      return {
+        referencedTable: tableName,
+        referencedColumn: _.get(cxn.collections, [ tableName, 'definition', primaryKey, 'columnName' ], primaryKey)
+      }
+    }
+    if (definition.references && definition.on) {
+      return { referencedTable: definition.references, referencedColumn: definition.on }
+    }
+  },
+
+  /**
+   * The foreign keys of the association attributes of a table that opt in,
+   * in the shape that describeTable reports them. The rows of a junction
+   * table are deleted with either end, unless onDelete says otherwise.
+   *
+   * @returns [ { table, constraintName, columns, referencedTable, referencedColumns,
+   *              onDelete, onUpdate, deferrable, initiallyDeferred } ]
+   */
+  getForeignKeys (cxn, tableName, definition = _.get(cxn.collections, [ tableName, 'definition' ])) {
+    let junctionTable = _.get(cxn.collections, [ tableName, 'meta', 'junctionTable' ])
+
+    return _.compact(_.map(definition, (attr, attributeName) => {
+      if (!_.isObject(attr) || !attr.foreignKey) return
+
+      let reference = ForeignKeyUtil.getReference(cxn, attr)
+      let options = ForeignKeyUtil.getOptions(attr, cxn)
+      if (!reference || !options) return
+
+      let column = attr.columnName || attributeName
+      let { onDelete = junctionTable ? 'cascade' : 'no action', onUpdate = 'no action', deferrable } = options
+      return {
+        table: tableName,
+        constraintName: `${tableName}_${column}_foreign`.substring(0, 63),
+        columns: [ column ],
+        referencedTable: reference.referencedTable,
+        referencedColumns: [ reference.referencedColumn ],
+        onDelete: _.toLower(onDelete),
+        onUpdate: _.toLower(onUpdate),
+        deferrable: !!deferrable,
+        initiallyDeferred: deferrable === true || deferrable === 'deferred'
+      }
+    }))
+  },
+
+  /**
+   * The foreign keys of every table on a connection
+   */
+  getAllForeignKeys (cxn) {
+    return _.flatMap(_.keys(cxn.collections), tableName => ForeignKeyUtil.getForeignKeys(cxn, tableName))
+  },
+
+  hasForeignKeys (cxn) {
+    return !_.isEmpty(ForeignKeyUtil.getAllForeignKeys(cxn))
+  },
+
+  buildAddConstraint (cxn, tableName, foreignKey) {
+    let columns = _.map(foreignKey.columns, column => `"${column}"`).join(', ')
+    let referencedColumns = _.map(foreignKey.referencedColumns, column => `"${column}"`).join(', ')
+    let sql = `alter table ${Util.quoteTable(cxn, tableName)} add constraint "${foreignKey.constraintName}" ` +
+      `foreign key (${columns}) references ${Util.quoteTable(cxn, foreignKey.referencedTable)} (${referencedColumns}) ` +
+      `on delete ${foreignKey.onDelete} on update ${foreignKey.onUpdate}`
+
+    if (foreignKey.deferrable) {
+      sql += ` deferrable initially ${foreignKey.initiallyDeferred ? 'deferred' : 'immediate'}`
+    }
+    return sql
+  },
+
+  buildDropConstraint (cxn, tableName, foreignKey) {
+    return `alter table ${Util.quoteTable(cxn, tableName)} drop constraint "${foreignKey.constraintName}"`
+  },
+
+  /**
+   * The foreign keys of other tables that reference a table
+   *
+   * @returns [ { constraintName, schemaName, tableName, definition } ]
+   */
+  getReferences (cxn, tableName, operation) {
+    return cxn.knex.raw(SQL.referencingForeignKeys, [ tableName, Util.getSchemaName(cxn, tableName) ])
+      .on('query', Operations.recordQuery(operation))
+      .then(({ rows }) => camelize(rows))
+  },
+
+  /**
+   * Steps that drop the foreign keys that reference a table, so that the
+   * table can be dropped without CASCADE, which would take views and other
+   * objects that depend on it along
+   */
+  buildDropReferences (references) {
+    return _.map(references, ({ constraintName, schemaName, tableName, definition }) => {
+      let table = `"${schemaName.replace(/"/g, '""')}"."${tableName.replace(/"/g, '""')}"`
+      return {
+        sql: `alter table ${table} drop constraint "${constraintName.replace(/"/g, '""')}"`,
+        down: `alter table ${table} add constraint "${constraintName.replace(/"/g, '""')}" ${definition}`
+      }
+    })
+  },
+
+  /**
+   * Compare a foreign key with one that describeTable reports
+   */
+  isSame (foreignKey, actual) {
+    let keys = [ 'columns', 'referencedTable', 'referencedColumns', 'onDelete', 'onUpdate', 'deferrable', 'initiallyDeferred' ]
+    return _.isEqual(_.pick(foreignKey, keys), _.pick(actual, keys))
+  },
+
+  /**
+   * Order tables so that each comes after the tables that it references.
+   * Tables that reference each other are left in the order they come in;
+   * the foreign keys that close the cycle are added after both exist.
+   */
+  sortTables (cxn, tableNames) {
+    let sorted = [ ]
+    let visiting = new Set()
+    let visit = tableName => {
+      if (visiting.has(tableName)) return
+      visiting.add(tableName)
+
+      _.each(ForeignKeyUtil.getForeignKeys(cxn, tableName), ({ referencedTable }) => {
+        if (_.includes(tableNames, referencedTable)) visit(referencedTable)
+      })
+      sorted.push(tableName)
+    }
+    _.each(tableNames, visit)
+
+    return sorted
+  },
+
+  /**
+   * @returns { tableName: [ constraintName ] } with the names of the foreign
+   *          keys of the tables that exist. Tables are matched by schema and
+   *          name, since the schemas of tenants have tables of the same names.
+   */
+  getConstraints (cxn, tableNames, operation) {
+    let schemaNames = _.map(tableNames, tableName => Util.getSchemaName(cxn, tableName))
+    let key = (schemaName, tableName) => JSON.stringify([ schemaName || null, tableName ])
+
+    return cxn.knex.raw(SQL.tableForeignKeys, [ tableNames, schemaNames ])
+      .on('query', Operations.recordQuery(operation))
+      .then(({ rows }) => {
+        let constraints = _.fromPairs(_.map(rows, row => [ key(row.schema_name, row.table_name), row.constraint_names ]))
+
+        return _.pickBy(_.fromPairs(_.map(tableNames, (tableName, i) => {
+          return [ tableName, constraints[key(schemaNames[i], tableName)] ]
+        })))
+      })
+  },
+
+  /**
+   * Add the foreign keys that a new table completes: those of the table to
+   * tables that exist, and those of existing tables to it (which could not
+   * be added when they were created, or were dropped with it)
+   *
+   * @returns the statements that were run
+   */
+  createConstraints (cxn, tableName, operation) {
+    let foreignKeys = _.filter(ForeignKeyUtil.getAllForeignKeys(cxn), foreignKey => {
+      return foreignKey.table === tableName || foreignKey.referencedTable === tableName
+    })
+    if (_.isEmpty(foreignKeys)) return Promise.resolve([ ])
+
+    let tableNames = _.uniq(_.flatMap(foreignKeys, ({ table, referencedTable }) => [ table, referencedTable ]))
+    return ForeignKeyUtil.getConstraints(cxn, tableNames, operation)
+      .then(constraints => {
+        let statements = _.map(_.filter(foreignKeys, ({ table, referencedTable, constraintName }) => {
+          return constraints[table] && constraints[referencedTable] && !_.includes(constraints[table], constraintName)
+        }), foreignKey => ForeignKeyUtil.buildAddConstraint(cxn, foreignKey.table, foreignKey))
+
+        return _.reduce(statements, (promise, sql) => {
+          return promise.then(() => cxn.knex.raw(sql).on('query', Operations.recordQuery(operation)))
+        }, Promise.resolve())
+        .then(() => statements)
+      })
+  }
+}
+
+export default ForeignKeyUtil
@@ -0,0 +1,267 @@
+import _ from 'lodash'
+
+const JsonUtil = {
+
+  jsonTypes: [ 'json', 'jsonb' ],
+
+  /**
+   * The jsonb operators, by criteria modifier. The key existence operators
+   * (?, ?| and ?&) are written into a query with their ? escaped (\\?), since
+   * knex reads ? as a placeholder. Unlike the jsonb_exists functions, the
+   * operators can use a GIN index on the attribute.
+   */
+  jsonModifiers: {
+    contains: '@>',
+    containedBy: '<@',
+    has: '?',
+    hasAny: '?|',
+    hasAll: '?&',
+    '@>': '@>',
+    '<@': '<@',
+    '?': '?',
+    '?|': '?|',
+    '?&': '?&'
+  },
+
+  comparisonModifiers: {
+    '<': '<',
+    lessThan: '<',
+    '<=': '<=',
+    lessThanOrEqual: '<=',
+    '>': '>',
+    greaterThan: '>',
+    '>=': '>=',
+    greaterThanOrEqual: '>='
+  },
+
+  /**
+   * Remove the jsonb modifiers and json path comparisons from the where
+   * clause of criteria, and build them into sql conditions (with ?
+   * placeholders) instead. waterline-sequel does not know about them.
+   *
+   * where: {
+   *   settings: { contains: { theme: 'dark' } },
+   *   tags: { hasAny: [ 'new', 'sale' ] },
+   *   'settings.theme': 'dark',
+   *   'settings.fontSize': { '>=': 12 }
+   * }
+   *
+   * @returns { criteria, conditions: [ { sql, bindings } ] }
+   */
+  extractJsonCriteria (tableName, tableDefinition, criteria) {
+    let conditions = [ ]
+    let where = _.reduce(_.get(criteria, 'where'), (where, value, key) => {
+      let jsonPath = JsonUtil.parsePath(key, tableDefinition)
+      if (jsonPath) {
+        conditions.push(...JsonUtil.buildPathConditions(tableName, jsonPath, key, value))
+        return where
+      }
+
+      let modifiers = _.intersection(_.keys(value), _.keys(JsonUtil.jsonModifiers))
+      if (!JsonUtil.isJsonColumn(tableDefinition[key]) || !_.isPlainObject(value) || _.isEmpty(modifiers)) {
+        where[key] = value
+        return where
+      }
+      _.each(modifiers, modifier => {
+        conditions.push(JsonUtil.buildJsonCondition(`"${tableName}"."${key}"`, key, modifier, value[modifier]))
+      })
+      if (_.size(value) > modifiers.length) {
+        where[key] = _.omit(value, modifiers)
+      }
+      return where
+    }, { })
+
+    if (_.isEmpty(conditions)) {
+      return { criteria, conditions }
+    }
+    return {
+      criteria: _.assign({ }, criteria, { where: _.isEmpty(where) ? null : where }),
+      conditions: conditions
+    }
+  },
+
+  /**
+   * contains: the attribute contains the json value (@>)
+   * containedBy: the attribute is contained by the json value (<@)
+   * has: the attribute has the key (?)
+   * hasAny: the attribute has any of the keys (?|)
+   * hasAll: the attribute has all of the keys (?&)
+   *
+   * @param expression - the sql of a jsonb column or path
+   */
+  buildJsonCondition (expression, key, modifier, argument) {
+    let operator = JsonUtil.jsonModifiers[modifier]
+    let escapedOperator = operator.replace('?', '\\?')
+
+    switch (operator) {
+      case '@>':
+      case '<@':
+        if (_.isUndefined(argument)) {
+          throw new Error(`"${modifier}" criteria on ${key} must be a json value`)
+        }
+        return {
+          sql: `${expression} ${operator} ?::jsonb`,
+          bindings: [ JsonUtil.toTextBinding(JSON.stringify(argument)) ]
+        }
+
+      case '?':
+        if (!_.isString(argument)) {
+          throw new Error(`"${modifier}" criteria on ${key} must be a key`)
+        }
+        return {
+          sql: `${expression} ${escapedOperator} ?`,
+          bindings: [ JsonUtil.toTextBinding(argument) ]
+        }
+
+      default:
+        if (!_.isArray(argument) || !_.every(argument, _.isString)) {
+          throw new Error(`"${modifier}" criteria on ${key} must be an array of keys`)
+        }
+        return {
+          sql: `${expression} ${escapedOperator} ?::text[]`,
+          bindings: [ argument ]
+        }
+    }
+  },
+
+  /**
+   * Split a key like 'settings.theme' into a json attribute and a path, or
+   * return undefined if the key is not a path into a json attribute
+   *
+   * @returns { attr, path }
+   */
+  parsePath (key, tableDefinition) {
+    let [ attr, ...path ] = key.split('.')
+    if (_.isEmpty(path) || !JsonUtil.isJsonColumn(tableDefinition[attr])) return
+
+    return { attr, path }
+  },
+
+  /**
+   * The sql of the json value at a path, as text (#>>) or as jsonb (#>). The
+   * path is interpolated as a text[] literal, so that the expression can be
+   * used in ORDER BY as well.
+   */
+  buildPathExpression (tableName, { attr, path }, operator = '#>>') {
+    let elements = _.map(path, element => `"${element.replace(/["\\]/g, '\\$&')}"`)
+    let literal = `{${elements.join(',')}}`.replace(/'/g, "''")
+
+    return `"${tableName}"."${attr}" ${operator} '${literal}'`
+  },
+
+  /**
+   * Compare the text of a json path with a value, casting the text to the
+   * type of the value. Arrays are IN lists, and objects hold modifiers:
+   * <, <=, >, >=, !, like, startsWith, endsWith, contains, and the jsonb
+   * modifiers (which compare the json value at the path).
+   *
+   * @returns [ { sql, bindings } ]
+   */
+  buildPathConditions (tableName, jsonPath, key, value) {
+    let expression = JsonUtil.buildPathExpression(tableName, jsonPath)
+    if (!_.isPlainObject(value)) {
+      return [ JsonUtil.buildPathComparison(expression, '=', value) ]
+    }
+
+    return _.map(value, (argument, modifier) => {
+      if (_.has(JsonUtil.comparisonModifiers, modifier)) {
+        return JsonUtil.buildPathComparison(expression, JsonUtil.comparisonModifiers[modifier], argument)
+      }
+      if (modifier === '!' || modifier === 'not') {
+        return JsonUtil.buildPathComparison(expression, '<>', argument)
+      }
+      if (modifier === 'like') {
+        return { sql: `${expression} like ?`, bindings: [ JsonUtil.toTextBinding(argument) ] }
+      }
+      if (_.includes([ 'startsWith', 'endsWith', 'contains' ], modifier) && _.isString(argument)) {
+        let pattern = argument.replace(/[\\%_]/g, '\\$&')
+        pattern = modifier === 'startsWith' ? `${pattern}%` : modifier === 'endsWith' ? `%${pattern}` : `%${pattern}%`
+        return { sql: `${expression} like ?`, bindings: [ JsonUtil.toTextBinding(pattern) ] }
+      }
+      if (_.has(JsonUtil.jsonModifiers, modifier)) {
+        let jsonExpression = JsonUtil.buildPathExpression(tableName, jsonPath, '#>')
+        return JsonUtil.buildJsonCondition(jsonExpression, key, modifier, argument)
+      }
+      throw new Error(`Unknown modifier "${modifier}" in criteria on ${key}`)
+    })
+  },
+
+  /**
+   * @param operator - =, <>, <, <=, > or >=
+   */
+  buildPathComparison (expression, operator, value) {
+    if (_.isNull(value)) {
+      return { sql: `${expression} is ${operator === '<>' ? 'not ' : ''}null`, bindings: [ ] }
+    }
+    if (_.isArray(value)) {
+      if (_.isEmpty(value)) {
+        return { sql: operator === '<>' ? 'true' : 'false', bindings: [ ] }
+      }
+      let type = JsonUtil.getCastType(_.head(value))
+      let comparison = operator === '<>' ? '<> all' : '= any'
+      return {
+        sql: `(${expression})::${type} ${comparison}(?::${type}[])`,
+        bindings: [ _.map(value, item => _.isDate(item) ? item.toISOString() : item) ]
+      }
+    }
+
+    let type = JsonUtil.getCastType(value)
+    let column = type === 'text' ? expression : `(${expression})::${type}`
+    return {
+      sql: `${column} ${operator} ?`,
+      bindings: [ JsonUtil.toBinding(value) ]
+    }
+  },
+
+  /**
+   * The type that the text of a json path is cast to, to be compared with a
+   * value
+   */
+  getCastType (value) {
+    if (_.isNumber(value)) return 'numeric'
+    if (_.isBoolean(value)) return 'boolean'
+    if (_.isDate(value)) return 'timestamptz'
+    return 'text'
+  },
+
+  toBinding (value) {
+    if (_.isDate(value)) return value.toISOString()
+    if (_.isString(value)) return JsonUtil.toTextBinding(value)
+
+    return value
+  },
+
+  /**
+   * Bind text that Util.castValues must leave alone (it parses strings that
+   * start with '[' into arrays)
+   */
+  toTextBinding (text) {
+    return { toPostgres: () => text }
+  },
+
+  /**
+   * Order by a json path, e.g. sort: { 'settings.theme': 1 }. Json values are
+   * compared as jsonb, so that numbers are ordered as numbers.
+   *
+   * @returns the sql of the ordering, or undefined if field is not a json
+   *          path
+   */
+  buildPathOrderBy (tableName, tableDefinition, field, direction) {
+    let jsonPath = JsonUtil.parsePath(field, tableDefinition)
+    if (!jsonPath) return
+
+    return `${JsonUtil.buildPathExpression(tableName, jsonPath, '#>')} ${direction}`
+  },
+
+  hasPathSort (tableDefinition, { sort }) {
+    return _.some(_.keys(sort), field => !!JsonUtil.parsePath(field, tableDefinition))
+  },
+
+  isJsonColumn (definition) {
+    if (!definition) return false
+
+    return _.includes(JsonUtil.jsonTypes, _.toLower(definition.dbType || definition.type))
+  }
+}
+
+export default JsonUtil
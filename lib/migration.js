@@ -0,0 +1,693 @@
+import _ from 'lodash'
+import fs from 'fs'
+import path from 'path'
+import camelize from 'camelize'
+import Adapter from './adapter'
+import Util from './util'
+import EnumUtil from './enum'
+import ForeignKeyUtil from './foreignkeys'
+import SQL from './sql'
+import Operations from './operations'
+
+const Migration = {
+
+  /**
+   * e.g. alter table "user" add column "name" varchar(255) not null default 'x'
+   */
+  addColumnRegex: / add column "(?:[^"]|"")+" (.+?)( not null)?(?: default (.+))?$/,
+
+  /**
+   * e.g. CHECK ((mood = ANY (ARRAY['sad'::text, 'ok'::text]))), the CHECK
+   * constraint of an enum attribute as pg_get_constraintdef reports it
+   */
+  enumCheckRegex: /^CHECK \(\((.+?) = (?:ANY \(ARRAY\[(.*)\]\)|('(?:[^']|'')*'::[\w ]+))\)\)$/,
+
+  /**
+   * Short type names, by the name that format_type reports
+   */
+  typeAliases: {
+    varchar: 'character varying',
+    char: 'character',
+    bpchar: 'character',
+    int: 'integer',
+    int4: 'integer',
+    int2: 'smallint',
+    int8: 'bigint',
+    serial: 'integer',
+    smallserial: 'smallint',
+    bigserial: 'bigint',
+    bool: 'boolean',
+    float4: 'real',
+    float8: 'double precision',
+    decimal: 'numeric',
+    timestamp: 'timestamp without time zone',
+    timestamptz: 'timestamp with time zone',
+    time: 'time without time zone',
+    timetz: 'time with time zone'
+  },
+
+  /**
+   * Type changes that cannot lose data, besides longer varchars and text
+   */
+  wideningTypes: {
+    smallint: [ 'integer', 'bigint', 'numeric' ],
+    integer: [ 'bigint', 'numeric' ],
+    bigint: [ 'numeric' ],
+    real: [ 'double precision' ]
+  },
+
+  /**
+   * Bring an existing table in line with its model: compare the columns that
+   * describe reports with the model definition, and apply the differences in
+   * one transaction. Steps that can lose data (dropping columns, narrowing
+   * types) are refused unless allowDestructive is set.
+   *
+   * Missing values of native enum types are added first, outside of the
+   * transaction (see EnumUtil.buildAddValues).
+   *
+   * @param options.allowDestructive - defaults to migrations.allowDestructive
+   *        of the connection
+   * @param options.skipDestructive - apply the other steps, and report the
+   *        destructive ones to onError, instead of refusing
+   * @returns the steps that were applied: [ { sql, down, destructive } ]
+   */
+  alter (cxn, tableName, options, operation) {
+    let allowDestructive = _.get(options, 'allowDestructive', _.get(cxn.config, 'migrations.allowDestructive'))
+
+    return Migration.diff(cxn, tableName, cxn.collections[tableName].definition, operation)
+      .then(steps => {
+        let destructive = _.filter(steps, 'destructive')
+        if (!_.isEmpty(destructive) && !allowDestructive) {
+          let statements = _.map(destructive, 'sql').join('; ')
+          if (!_.get(options, 'skipDestructive')) {
+            throw new Error(`Refusing to alter ${tableName} with destructive steps (set allowDestructive to run them): ${statements}`)
+          }
+          Migration.reportSkipped(cxn, tableName, destructive, statements)
+          steps = _.reject(steps, 'destructive')
+        }
+        if (_.isEmpty(steps)) return steps
+
+        return Migration.apply(cxn, steps, operation).then(() => steps)
+      })
+  },
+
+  /**
+   * Pass the destructive steps that were skipped to the onError hook of the
+   * connection, as an E_DESTRUCTIVE error with the steps
+   */
+  reportSkipped (cxn, tableName, steps, statements) {
+    let onError = _.get(cxn.config, 'onError')
+    if (!_.isFunction(onError)) return
+
+    onError({
+      code: 'E_DESTRUCTIVE',
+      message: `Skipped the destructive steps of altering ${tableName} (set allowDestructive to run them): ${statements}`,
+      steps: steps
+    }, tableName)
+  },
+
+  /**
+   * Run the steps that cannot run in a transaction, and then the others in
+   * one transaction
+   */
+  apply (cxn, steps, operation) {
+    let [ transactional, nonTransactional ] = _.partition(steps, step => step.transaction !== false)
+    return Migration.run(cxn, nonTransactional, operation)
+      .then(() => cxn.knex.transaction(txn => Migration.run(txn, transactional, operation)))
+  },
+
+  /**
+   * Run steps one after the other, on a connection or in a transaction
+   */
+  run (cxn, steps, operation) {
+    let knex = cxn.knex || cxn
+    return _.reduce(steps, (promise, { sql }) => {
+      return promise.then(() => knex.raw(sql).on('query', Operations.recordQuery(operation)))
+    }, Promise.resolve())
+  },
+
+  /**
+   * List the steps that bring a table in line with a definition, in order:
+   * enum types, renames, new columns, changed columns, and dropped columns.
+   * Nothing is run, except for the queries that read the current schema.
+   *
+   * An attribute declares that it used to be another column with
+   * renamedFrom: 'oldName'.
+   *
+   * @returns [ { sql, down, destructive } ], where down undoes the step, or
+   *          is null if the step cannot be undone
+   */
+  diff (cxn, tableName, definition, operation) {
+    let foreignKeys = ForeignKeyUtil.getForeignKeys(cxn, tableName, definition)
+
+    return Promise.all([
+        Adapter._describeTable(cxn, tableName, operation),
+        Adapter._query(cxn, SQL.columnIndexes, [ tableName, Util.getSchemaName(cxn, tableName) ]),
+        EnumUtil.planTypes(cxn, tableName, definition, 'alter', operation),
+        ForeignKeyUtil.getConstraints(cxn, _.map(foreignKeys, 'referencedTable'), operation)
+      ])
+      .then(([ table, { rows }, { enumTypes, steps: typeSteps }, referencedTables ]) => {
+        let quotedTable = Util.quoteTable(cxn, tableName)
+        let columns = _.clone(table.columns)
+        let indexes = camelize(rows)
+        let renames = [ ], additions = [ ], changes = [ ]
+
+        _.each(definition, (attr, attributeName) => {
+          let column = attr.columnName || attributeName
+          let desired = Migration.compileColumn(cxn, tableName, attributeName, attr, enumTypes)
+
+          if (!columns[column] && columns[attr.renamedFrom]) {
+            renames.push(Migration.step(
+              `alter table ${quotedTable} rename column "${attr.renamedFrom}" to "${column}"`,
+              `alter table ${quotedTable} rename column "${column}" to "${attr.renamedFrom}"`))
+            columns[column] = columns[attr.renamedFrom]
+            delete columns[attr.renamedFrom]
+            indexes = _.map(indexes, index => {
+              return index.columnName === attr.renamedFrom ? _.assign({ }, index, { columnName: column }) : index
+            })
+          }
+          if (!columns[column]) {
+            additions.push(...Migration.buildAddColumn(cxn, tableName, column, desired))
+            return
+          }
+          let columnIndexes = _.filter(indexes, { columnName: column })
+          changes.push(...Migration.diffColumn(cxn, tableName, column, attr, desired, columns[column], columnIndexes, table.checks))
+          delete columns[column]
+        })
+
+        let drops = _.map(columns, (actual, column) => Migration.buildDropColumn(cxn, tableName, column, actual))
+        let comments = Migration.diffComment(`table ${quotedTable}`, Util.getComment(cxn.collections[tableName]), table.comment)
+
+        // foreign keys to tables that do not exist yet are added when they are defined
+        let { dropForeignKeys, addForeignKeys } = Migration.diffForeignKeys(cxn, tableName, foreignKeys, table.foreignKeys)
+        addForeignKeys = _.filter(addForeignKeys, step => step.references === tableName || referencedTables[step.references])
+
+        return [ ...typeSteps, ...dropForeignKeys, ...renames, ...additions, ...changes, ...drops, ...comments, ...addForeignKeys ]
+      })
+  },
+
+  /**
+   * Compare a column with the column that its attribute would create
+   *
+   * @param checks - the CHECK constraints of the table, from describeTable
+   */
+  diffColumn (cxn, tableName, column, attr, desired, actual, indexes, checks) {
+    let { dropCheck, addCheck } = Migration.diffEnumCheck(cxn, tableName, column, attr, desired, checks)
+    let steps = [ ...dropCheck ]
+    let quotedTable = Util.quoteTable(cxn, tableName)
+    let alterColumn = `alter table ${quotedTable} alter column "${column}"`
+    let desiredType = Migration.normalizeType(desired.type)
+    let actualType = Migration.normalizeType(actual.dbType)
+    let actualDefault = actual.defaultValue
+    let isGenerated = attr.primaryKey || attr.autoIncrement || /^nextval\(/.test(actualDefault)
+
+    if (desired.type && desiredType !== actualType) {
+      if (!_.isNil(actualDefault) && !isGenerated) {
+        steps.push(Migration.step(`${alterColumn} drop default`, `${alterColumn} set default ${actualDefault}`))
+        actualDefault = undefined
+      }
+      let type = desired.type.replace(/ check \(.*\)$/, '')
+      steps.push(Migration.step(
+        `${alterColumn} type ${type} using "${column}"::${type}`,
+        `${alterColumn} type ${actual.dbType} using "${column}"::${actual.dbType}`,
+        !Migration.isWidening(actualType, desiredType)))
+    }
+
+    if (!attr.primaryKey && desired.notNull === actual.nullable) {
+      steps.push(Migration.step(
+        `${alterColumn} ${desired.notNull ? 'set' : 'drop'} not null`,
+        `${alterColumn} ${desired.notNull ? 'drop' : 'set'} not null`))
+    }
+
+    if (!isGenerated && !Migration.isSameDefault(actualDefault, desired.defaultValue, desiredType)) {
+      steps.push(Migration.step(
+        _.isNil(desired.defaultValue) ? `${alterColumn} drop default` : `${alterColumn} set default ${desired.defaultValue}`,
+        _.isNil(actualDefault) ? `${alterColumn} drop default` : `${alterColumn} set default ${actualDefault}`))
+    }
+
+    let unique = _.find(indexes, { unique: true, primaryKey: false })
+    if (desired.unique && !unique) {
+      steps.push(Migration.buildStatementStep(cxn, tableName, _.find(desired.statements, sql => / unique \(/.test(sql))))
+    }
+    if (!desired.unique && unique && !attr.primaryKey) {
+      steps.push(Migration.buildDropIndex(cxn, tableName, column, unique))
+    }
+
+    // only the indexes that knex names are dropped; others were made by hand
+    let plainIndexes = _.filter(indexes, { unique: false })
+    let knexIndexName = `${tableName}_${column}_index`.toLowerCase().replace(/[-.]/g, '_')
+    let index = _.find(plainIndexes, { method: _.get(desired.index, 'method') })
+    let staleIndex = _.find(plainIndexes, { indexName: knexIndexName })
+
+    if (staleIndex && staleIndex !== index) {
+      steps.push(Migration.buildDropIndex(cxn, tableName, column, staleIndex))
+    }
+    if (desired.index && !index) {
+      steps.push(Migration.buildStatementStep(cxn, tableName, desired.index.sql))
+    }
+
+    steps.push(...addCheck)
+    steps.push(...Migration.diffComment(`column ${quotedTable}."${column}"`, Util.getComment(attr), actual.comment))
+    return steps
+  },
+
+  /**
+   * Compare the values of an enum attribute that is not a native enum with
+   * the CHECK constraint of its column. The constraint is dropped before the
+   * other changes of the column, and added again with the values of the
+   * attribute after them; it is only dropped if the attribute is no longer
+   * such an enum.
+   *
+   * @returns { dropCheck, addCheck }: lists of steps
+   */
+  diffEnumCheck (cxn, tableName, column, attr, desired, checks) {
+    let quotedTable = Util.quoteTable(cxn, tableName)
+    let [ $, desiredCheck ] = / (check \(.*\))$/.exec(desired.type || '') || [ ]
+    let actual = _.find(checks, check => {
+      return _.isEqual(check.columns, [ column ]) && !!Migration.getEnumCheckValues(check.definition, column)
+    })
+
+    if (actual && desiredCheck) {
+      let actualValues = Migration.getEnumCheckValues(actual.definition, column)
+      if (_.isEqual(_.sortBy(actualValues), _.sortBy(_.map(attr.enum, String)))) {
+        return { dropCheck: [ ], addCheck: [ ] }
+      }
+    }
+
+    let constraintName = `${tableName}_${column}_check`
+    let dropCheck = actual ? [ Migration.step(
+      `alter table ${quotedTable} drop constraint "${actual.constraintName}"`,
+      `alter table ${quotedTable} add constraint "${actual.constraintName}" ${actual.definition}`) ] : [ ]
+    let addCheck = desiredCheck ? [ Migration.step(
+      `alter table ${quotedTable} add constraint "${constraintName}" ${desiredCheck}`,
+      `alter table ${quotedTable} drop constraint "${constraintName}"`) ] : [ ]
+
+    return { dropCheck, addCheck }
+  },
+
+  /**
+   * @returns the values of an enum CHECK constraint on a column, or undefined
+   *          if the constraint is not one
+   */
+  getEnumCheckValues (definition, column) {
+    let [ $, expression, arrayValues, value ] = Migration.enumCheckRegex.exec(definition || '') || [ ]
+    if (!expression) return
+
+    // e.g. mood, "createdAt", or (mood)::text
+    let name = expression.replace(/^\((.+)\)::[\w ]+$/, '$1').replace(/^"(.*)"$/, '$1').replace(/""/g, '"')
+    if (name !== column) return
+
+    return _.map((arrayValues || value).match(/'(?:[^']|'')*'::/g), quoted => quoted.slice(1, -3).replace(/''/g, "'"))
+  },
+
+  /**
+   * Compare the foreign keys of a table with the ones that describeTable
+   * reports. Foreign keys that differ are dropped and added again; of the
+   * others, only the ones that the adapter names (table_column_foreign) are
+   * dropped, since the rest were made by hand.
+   *
+   * @returns { dropForeignKeys, addForeignKeys }, where the steps that add a
+   *          foreign key are tagged with the table it references
+   */
+  diffForeignKeys (cxn, tableName, foreignKeys, actualForeignKeys) {
+    let dropForeignKeys = [ ], addForeignKeys = [ ]
+
+    _.each(foreignKeys, foreignKey => {
+      let actual = _.find(actualForeignKeys, { constraintName: foreignKey.constraintName })
+      if (actual && ForeignKeyUtil.isSame(foreignKey, actual)) return
+
+      if (actual) {
+        dropForeignKeys.push(Migration.buildDropForeignKey(cxn, tableName, actual))
+      }
+      addForeignKeys.push(Migration.buildAddForeignKey(cxn, tableName, foreignKey))
+    })
+    _.each(actualForeignKeys, actual => {
+      let isStale = /_foreign$/.test(actual.constraintName) && !_.find(foreignKeys, { constraintName: actual.constraintName })
+      if (isStale) {
+        dropForeignKeys.push(Migration.buildDropForeignKey(cxn, tableName, actual))
+      }
+    })
+    return { dropForeignKeys, addForeignKeys }
+  },
+
+  buildAddForeignKey (cxn, tableName, foreignKey) {
+    let step = Migration.step(
+      ForeignKeyUtil.buildAddConstraint(cxn, tableName, foreignKey),
+      ForeignKeyUtil.buildDropConstraint(cxn, tableName, foreignKey))
+
+    return _.assign(step, { references: foreignKey.referencedTable })
+  },
+
+  buildDropForeignKey (cxn, tableName, actual) {
+    return Migration.step(
+      ForeignKeyUtil.buildDropConstraint(cxn, tableName, actual),
+      ForeignKeyUtil.buildAddConstraint(cxn, tableName, actual))
+  },
+
+  /**
+   * Set or remove the comment of a table or column, e.g. table "user" or
+   * column "user"."name", if it differs from the one in the database
+   */
+  diffComment (target, desired, actual) {
+    if ((desired || null) === (actual || null)) return [ ]
+
+    return [ Migration.step(Migration.buildComment(target, desired), Migration.buildComment(target, actual)) ]
+  },
+
+  buildComment (target, comment) {
+    return `comment on ${target} is ${comment ? EnumUtil.quoteLiteral(comment) : 'null'}`
+  },
+
+  /**
+   * The statements that add a column with its constraints and index
+   */
+  buildAddColumn (cxn, tableName, column, desired) {
+    let [ addColumn, ...constraints ] = desired.statements
+    return [
+      Migration.step(addColumn, `alter table ${Util.quoteTable(cxn, tableName)} drop column "${column}"`),
+      ..._.map(constraints, sql => Migration.buildStatementStep(cxn, tableName, sql))
+    ]
+  },
+
+  /**
+   * Dropping a column loses its values; down only restores the column
+   */
+  buildDropColumn (cxn, tableName, column, actual) {
+    let quotedTable = Util.quoteTable(cxn, tableName)
+    let down = `alter table ${quotedTable} add column "${column}" ${actual.dbType}`
+    if (!_.isNil(actual.defaultValue)) {
+      down += ` default ${actual.defaultValue}`
+    }
+    if (!actual.nullable) {
+      down += ' not null'
+    }
+    return Migration.step(`alter table ${quotedTable} drop column "${column}"`, down, true)
+  },
+
+  /**
+   * @param index - a row of SQL.columnIndexes
+   */
+  buildDropIndex (cxn, tableName, column, index) {
+    let quotedTable = Util.quoteTable(cxn, tableName)
+    if (index.constraintName) {
+      return Migration.step(
+        `alter table ${quotedTable} drop constraint "${index.constraintName}"`,
+        `alter table ${quotedTable} add constraint "${index.constraintName}" unique ("${column}")`)
+    }
+    return Migration.step(
+      `drop index ${Util.quoteTable(cxn, tableName, index.indexName)}`,
+      `create ${index.unique ? 'unique ' : ''}index "${index.indexName}" on ${quotedTable} using ${index.method} ("${column}")`)
+  },
+
+  /**
+   * A unique constraint, index or comment statement compiled by knex, e.g.
+   * alter table "user" add constraint user_email_unique unique ("email")
+   * create index user_tags_index on "user" using gin ("tags")
+   * alter table "user" add primary key ("id")
+   * comment on column "user"."name" is 'The display name'
+   */
+  buildStatementStep (cxn, tableName, sql) {
+    let quotedTable = Util.quoteTable(cxn, tableName)
+    let [ $, target ] = /^comment on (table "[^]+?"|column "[^]+?"\."[^]+?") is /.exec(sql) || [ ]
+    if (target) {
+      return Migration.step(sql, Migration.buildComment(target, null))
+    }
+    if (/ add primary key /.test(sql)) {
+      return Migration.step(sql, `alter table ${quotedTable} drop constraint "${tableName}_pkey"`)
+    }
+    let [ $$, constraint ] = / add constraint (\S+) /.exec(sql) || [ ]
+    if (constraint) {
+      return Migration.step(sql, `alter table ${quotedTable} drop constraint ${constraint}`)
+    }
+    // indexes live in the schema of their table
+    let [ $$$, index ] = /^create (?:unique )?index (\S+) /.exec(sql) || [ ]
+    return Migration.step(sql, index ? `drop index ${Util.quoteTable(cxn, tableName, index)}` : null)
+  },
+
+  /**
+   * The knex builder that creates a table, with its columns and constraints
+   */
+  buildCreateTable (cxn, tableName, definition, enumTypes, schema = cxn.collections[tableName]) {
+    return cxn.knex.schema
+      .withSchema(Util.getSchemaName(cxn, tableName))
+      .createTable(tableName, table => {
+        _.each(definition, (definition, attributeName) => {
+          let newColumn = Util.toKnexColumn(table, attributeName, definition, schema, cxn.collections, enumTypes)
+          Util.applyColumnConstraints(newColumn, definition)
+        })
+        Util.applyTableConstraints(table, definition)
+
+        let comment = Util.getComment(schema)
+        if (comment) table.comment(Util.escapeComment(comment))
+      })
+  },
+
+  /**
+   * List the steps of the tables of every model on a connection, by the
+   * migrate strategy of the model: 'drop' drops and defines the table,
+   * 'alter' defines or alters it, 'create' defines it if it does not exist,
+   * and 'safe' leaves it alone.
+   *
+   * @returns [ { table, sql, down, destructive } ]
+   */
+  plan (cxn, operation) {
+    let tableNames = ForeignKeyUtil.sortTables(cxn, _.keys(cxn.collections))
+
+    return _.reduce(tableNames, (promise, tableName) => {
+        return promise.then(groups => {
+          return Migration.planTable(cxn, tableName, operation)
+            .then(steps => [ ...groups, { tableName, steps } ])
+        })
+      }, Promise.resolve([ ]))
+      .then(groups => Migration.planForeignKeys(cxn, groups, operation))
+      .then(groups => {
+        return _.flatMap(groups, ({ tableName, steps }) => _.map(steps, step => _.assign({ table: tableName }, step)))
+      })
+  },
+
+  /**
+   * Add the foreign keys of the tables that the plan creates, and of the
+   * tables that reference them, after the later of the two tables is
+   * created. Tables are planned in dependency order, so this is right after
+   * the table itself, unless tables reference each other.
+   *
+   * @param groups - [ { tableName, steps } ], in the order of the plan
+   */
+  planForeignKeys (cxn, groups, operation) {
+    let foreignKeys = ForeignKeyUtil.getAllForeignKeys(cxn)
+    if (_.isEmpty(foreignKeys)) return Promise.resolve(groups)
+
+    let creates = _.fromPairs(_.compact(_.map(groups, ({ tableName, steps }, index) => {
+      return _.some(steps, ({ sql }) => /^create table /.test(sql)) && [ tableName, index ]
+    })))
+
+    return ForeignKeyUtil.getConstraints(cxn, _.map(groups, 'tableName'), operation)
+      .then(constraints => {
+        let exists = tableName => _.has(creates, tableName) || !!constraints[tableName]
+
+        _.each(foreignKeys, foreignKey => {
+          let { table, referencedTable } = foreignKey
+          if (!exists(table) || !exists(referencedTable)) return
+          if (!_.has(creates, table) && !_.has(creates, referencedTable)) return
+
+          let index = _.max([ _.get(creates, table, -1), _.get(creates, referencedTable, -1) ])
+          let step = _.assign({ table }, Migration.buildAddForeignKey(cxn, table, foreignKey))
+          let planned = _.findIndex(groups, ({ steps }) => _.some(steps, { sql: step.sql }))
+          if (planned >= index) return
+
+          groups[index].steps.push(step)
+        })
+        return groups
+      })
+  },
+
+  planTable (cxn, tableName, operation) {
+    let { migrate, definition } = cxn.collections[tableName]
+    if (migrate === 'safe') return Promise.resolve([ ])
+
+    return cxn.knex.schema.withSchema(Util.getSchemaName(cxn, tableName)).hasTable(tableName)
+      .on('query', Operations.recordQuery(operation))
+      .then(exists => {
+        if (exists && migrate === 'alter') {
+          return Migration.diff(cxn, tableName, definition, operation)
+        }
+        if (exists && migrate !== 'drop') return [ ]
+
+        let references = exists && ForeignKeyUtil.hasForeignKeys(cxn) ?
+          ForeignKeyUtil.getReferences(cxn, tableName, operation) :
+          Promise.resolve([ ])
+
+        return Promise.all([ references, Migration.planDefine(cxn, tableName, definition, migrate, operation) ])
+          .then(([ references, steps ]) => {
+            let dropReferences = _.map(ForeignKeyUtil.buildDropReferences(references), ({ sql, down }) => Migration.step(sql, down))
+            let drop = exists ? [ Migration.step(`drop table if exists ${Util.quoteTable(cxn, tableName)}`, null, true) ] : [ ]
+            return [ ...dropReferences, ...drop, ...steps ]
+          })
+      })
+  },
+
+  /**
+   * The steps of define: enum types, then the table and its constraints
+   */
+  planDefine (cxn, tableName, definition, migrate, operation) {
+    return EnumUtil.planTypes(cxn, tableName, definition, migrate, operation)
+      .then(({ enumTypes, steps }) => {
+        let statements = _.map(Migration.buildCreateTable(cxn, tableName, definition, enumTypes).toSQL(), 'sql')
+        let [ createTable, ...constraints ] = statements
+
+        return [
+          ...steps,
+          Migration.step(createTable, `drop table ${Util.quoteTable(cxn, tableName)}`),
+          ..._.map(constraints, sql => Migration.buildStatementStep(cxn, tableName, sql))
+        ]
+      })
+  },
+
+  /**
+   * Format steps as a migration file, with the up statements in order and
+   * the down statements in reverse, e.g. 20160301120000_postgresdb.sql:
+   *
+   * -- migrate:up
+   * create table "user" (...);
+   *
+   * -- migrate:down
+   * drop table "user";
+   *
+   * Steps that cannot be undone are commented in the down section.
+   */
+  toFile (steps, name, date = new Date()) {
+    let timestamp = date.toISOString().replace(/\D/g, '').substring(0, 14)
+    let up = _.map(steps, 'sql')
+    let down = _.compact(_.map(_.reverse(_.clone(steps)), 'down'))
+    let downStatements = _.map(_.reverse(_.clone(steps)), step => {
+      return _.isNil(step.down) ? `-- cannot undo: ${step.sql}` : `${step.down};`
+    })
+
+    return {
+      steps: steps,
+      up: up,
+      down: down,
+      filename: `${timestamp}_${name}.sql`,
+      sql: [
+        '-- migrate:up',
+        ..._.map(up, sql => `${sql};`),
+        '',
+        '-- migrate:down',
+        ...downStatements,
+        ''
+      ].join('\n')
+    }
+  },
+
+  /**
+   * Write a plan into a directory
+   *
+   * @returns the plan, with the path of the file
+   */
+  write (plan, directory) {
+    let file = path.join(directory, plan.filename)
+
+    return new Promise((resolve, reject) => {
+      fs.writeFile(file, plan.sql, error => {
+        if (error) return reject(error)
+
+        resolve(_.assign({ path: file }, plan))
+      })
+    })
+  },
+
+  /**
+   * Compile the statements that add the column of an attribute, and read its
+   * type, nullability, default, uniqueness and index from them
+   */
+  compileColumn (cxn, tableName, attributeName, attr, enumTypes) {
+    let schema = cxn.collections[tableName]
+    let statements = _.map(cxn.knex.schema
+      .withSchema(Util.getSchemaName(cxn, tableName))
+      .table(tableName, table => {
+        let column = Util.toKnexColumn(table, attributeName, attr, schema, cxn.collections, enumTypes)
+        Util.applyColumnConstraints(column, attr)
+      })
+      .toSQL(), 'sql')
+
+    let [ $, type, notNull, defaultValue ] = Migration.addColumnRegex.exec(statements[0]) || [ ]
+    let indexSql = _.find(statements, sql => /^create index /.test(sql))
+    let [ $$, method = 'btree' ] = / using (\w+) /.exec(indexSql) || [ ]
+
+    return {
+      statements: statements,
+      type: type,
+      notNull: !!notNull,
+      defaultValue: defaultValue,
+      unique: _.some(statements, sql => / unique \(/.test(sql)),
+      index: indexSql && { sql: indexSql, method: method }
+    }
+  },
+
+  /**
+   * Normalize a type, as written by knex or reported by format_type, so that
+   * the two can be compared, e.g. varchar(255) and character varying(255), or
+   * "public"."user_mood_enum" and user_mood_enum
+   */
+  normalizeType (type) {
+    let normalized = _.toLower(type)
+      .replace(/ check \(.*\)$/, '')
+      .replace(/"/g, '')
+      .replace(/^[a-z_][a-z0-9_$]*\./, '')
+      .replace(/\s+array$/, '[]')
+      .replace(/\s*([(),])\s*/g, '$1')
+      .trim()
+    let [ $, base = normalized, modifier = '', dimensions = '' ] = /^(.+?)(\(.*\))?((?:\[\])*)$/.exec(normalized) || [ ]
+
+    return `${Migration.typeAliases[base] || base}${modifier}${dimensions}`
+  },
+
+  isWidening (from, to) {
+    let [ $, fromBase, fromLength ] = /^(character varying|character|text)(?:\((\d+)\))?$/.exec(from) || [ ]
+    if (fromBase) {
+      let [ $$, toBase, toLength ] = /^(character varying|text)(?:\((\d+)\))?$/.exec(to) || [ ]
+      return !!toBase && (!toLength || Number(toLength) >= Number(fromLength))
+    }
+    return _.includes(Migration.wideningTypes[from], to)
+  },
+
+  /**
+   * Compare a column default, e.g. 'foo'::text, with the default that knex
+   * writes, e.g. 'foo'
+   */
+  isSameDefault (actual, desired, type) {
+    let actualValue = Migration.unquoteDefault(actual)
+    let desiredValue = Migration.unquoteDefault(desired)
+    if (_.isNil(actualValue) || _.isNil(desiredValue)) {
+      return _.isNil(actualValue) && _.isNil(desiredValue)
+    }
+
+    if (type === 'boolean') {
+      return /^(t|true|1)$/.test(actualValue) === /^(t|true|1)$/.test(desiredValue)
+    }
+    if (type === 'json' || type === 'jsonb') {
+      try {
+        return _.isEqual(JSON.parse(actualValue), JSON.parse(desiredValue))
+      }
+      catch (e) { }
+    }
+    return actualValue === desiredValue
+  },
+
+  unquoteDefault (value) {
+    if (_.isNil(value)) return
+
+    let text = String(value)
+    while (/::[a-z_" ]+(\([\d,\s]+\))?(\[\])*$/i.test(text)) {
+      text = text.replace(/::[a-z_" ]+(\([\d,\s]+\))?(\[\])*$/i, '')
+    }
+    let [ $, quoted ] = /^'([\s\S]*)'$/.exec(text) || [ ]
+    return _.isUndefined(quoted) ? text : quoted.replace(/''/g, "'")
+  },
+
+  step (sql, down, destructive = false) {
+    return { sql, down, destructive }
+  }
+}
+
+export default Migration
@@ -0,0 +1,98 @@
+import _ from 'lodash'
+
+let lastOperationId = 0
+
+/**
+ * Registry of the adapter calls currently in flight on each connection.
+ * Operations are stored on cxn.operations, keyed by id.
+ */
+const Operations = {
+
+  /**
+   * Run an adapter operation and keep it registered on the connection until
+   * the promise returned by fn settles, whether it resolves or rejects.
+   *
+   * @param cxn
+   * @param method - name of the adapter method, e.g. 'find'
+   * @param tableName
+   * @param fn - invoked with the operation record; returns a value or promise
+   */
+  track (cxn, method, tableName, fn) {
+    let operation = Operations.start(cxn, method, tableName)
+
+    return new Promise(resolve => resolve(fn(operation)))
+      .then(result => {
+        Operations.finish(cxn, operation)
+        return result
+      }, error => {
+        Operations.finish(cxn, operation)
+        throw error
+      })
+  },
+
+  start (cxn, method, tableName) {
+    let operation = {
+      id: ++lastOperationId,
+      method: method,
+      table: tableName,
+      startedAt: new Date(),
+      sql: null
+    }
+    cxn.operations.set(operation.id, operation)
+
+    return operation
+  },
+
+  finish (cxn, operation) {
+    cxn.operations.delete(operation.id)
+  },
+
+  /**
+   * Return a knex 'query' event listener that records the sql on the operation
+   */
+  recordQuery (operation) {
+    return ({ sql }) => {
+      operation.sql = sql
+    }
+  },
+
+  /**
+   * Summarize the in-flight operations and the knex pool of a connection
+   */
+  stats (cxn) {
+    let now = Date.now()
+    let operations = _.map([ ...cxn.operations.values() ], operation => {
+      return _.assign({ duration: now - operation.startedAt }, operation)
+    })
+
+    return {
+      identity: cxn.identity,
+      operations: operations,
+      pool: Operations.getPoolStats(cxn)
+    }
+  },
+
+  /**
+   * Translate the pool2 stats exposed by knex into used/free/pending counts
+   */
+  getPoolStats (cxn) {
+    let pool = cxn.knex.client.pool
+    if (!pool) {
+      return { size: 0, used: 0, free: 0, pending: 0 }
+    }
+
+    let { min, max, allocated, available, queued } = pool.stats()
+    let free = available - (max - allocated)
+
+    return {
+      min: min,
+      max: max,
+      size: allocated,
+      used: allocated - free,
+      free: free,
+      pending: queued
+    }
+  }
+}
+
+export default Operations
@@ -1,31 +1,74 @@
 import _ from 'lodash'
+import SQL from './sql'
+import Util from './util'
 
 const SpatialUtil = {
 
-  spatialTypeRegex: /^(\w+)(?:\((\w+), (\d+)\))?$/,
+  spatialTypeRegex: /^(\w+)(?:\(\s*(\w+)\s*(?:,\s*(\d+)\s*)?\))?$/,
+
+  spatialTypes: [ 'geometry', 'geography' ],
+
+  /**
+   * Detect the postgis extension and record its version as
+   * cxn.postgisVersion. It is null if postgis is not installed, is too old,
+   * or is disabled with spatial: false; that is an error if any model has
+   * spatial attributes.
+   */
+  initializeConnection (cxn) {
+    let spatialModels = _.keys(_.pickBy(cxn.collections, model => SpatialUtil.hasSpatialColumn(model.definition)))
+    let detection = cxn.config.spatial === false ? Promise.resolve() : SpatialUtil.getPostgisVersion(cxn)
+
+    return detection.then(version => {
+      cxn.postgisVersion = null
+
+      if (!version) {
+        if (_.isEmpty(spatialModels)) return
+
+        let reason = cxn.config.spatial === false
+          ? 'spatial support is disabled on this connection (spatial: false)'
+          : 'the PostGIS extension is not installed in this database'
+        throw new Error(`
+          These models have spatial attributes: ${spatialModels.join(', ')}, but ${reason}.
+          Please either:
+          1. Install PostGIS 2.1 or higher (create extension postgis) and enable spatial support -or-
+          2. Remove the spatial attributes from these models
+        `)
+      }
+      // an old postgis is only a problem for connections that need it
+      if (_.isEmpty(spatialModels) && !SpatialUtil.isSupportedPostgisVersion(version)) return
+
+      cxn.postgisVersion = SpatialUtil.validatePostgisVersion(version)
+    })
+  },
 
   /**
-   * Get the version of the installed postgis extension
+   * Get the version of the installed postgis extension, or undefined if it
+   * is not installed
    */
   getPostgisVersion (cxn) {
     return cxn.knex
-      .raw('select postgis_lib_version()')
-      .then(({ rows: [{ version }] }) => {
-        return version.split('.')
+      .raw(SQL.postgisVersion)
+      .then(({ rows: [ row ] }) => {
+        return row && row.version.split('.')
       })
   },
 
+  isSupportedPostgisVersion ([ major, minor ]) {
+    return !(major < 2 || (major == 2 && minor < 1))
+  },
+
   /**
    * Parse and validate the installed postgis version
    * (must be newer than 2.1)
    */
   validatePostgisVersion ([ major, minor, patch ]) {
-    if (major < 2 || (major == 2 && minor < 1)) {
+    if (!SpatialUtil.isSupportedPostgisVersion([ major, minor ])) {
       throw new Error(`
         PostGIS ${major}.${minor}.${patch} detected. This adapter requires PostGIS 2.1 or higher.
         Please either:
-        1. Upgrade your PostGIS extension to at least 2.1.0
-        2. Disable the spatial extension on this adapter (see README)
+        1. Upgrade your PostGIS extension to at least 2.1.0 -or-
+        2. Remove the spatial attributes from your models, and disable spatial support
+           on this connection with spatial: false (see "PostGIS" in the README)
       `)
     }
 
@@ -59,18 +102,94 @@ const SpatialUtil = {
    */
 
   /**
-   * Convert geojson into postgis 'geometry' type. Re-project geometry if necessary.
+   * Convert geojson, WKT or EWKT into postgis 'geometry' type. Re-project
+   * geometry if necessary.
    *
    * http://postgis.net/docs/ST_GeomFromGeoJSON.html
+   * http://postgis.net/docs/ST_GeomFromEWKT.html
    * http://postgis.org/docs/ST_Transform.html
    */
   fromGeojson (geojson, definition, cxn) {
+    let ewkt = SpatialUtil.toEwkt(geojson, definition)
+    let geometry = ewkt ? cxn.knex.raw('ST_GeomFromEWKT(?)', [ ewkt ]) : SpatialUtil.normalizeGeojson(geojson, definition)
+    if (!geometry) return
+
+    let source = ewkt ? geometry : cxn.st.geomFromGeoJSON(geometry)
+    let nativeSrid = SpatialUtil.getNativeSrid(definition)
+    let transformed = nativeSrid ? cxn.st.transform(source, nativeSrid) : cxn.knex.raw('ST_SetSRID(?, 0)', [ source ])
+    if (SpatialUtil.isGeography(definition)) {
+      return cxn.knex.raw('?::geography', [ transformed ])
+    }
+    return transformed
+  },
+
+  /**
+   * Convert geojson into a string that can be loaded with COPY and passed
+   * through ST_GeomFromGeoJSON later.
+   */
+  toGeojsonText (geojson, definition) {
+    let geometry = SpatialUtil.normalizeGeojson(geojson, definition)
+    if (!geometry) return
+
+    return JSON.stringify(geometry)
+  },
+
+  /**
+   * Convert geojson, WKT or EWKT into a string that can be loaded with COPY
+   * and passed through geometryFromText later.
+   */
+  toGeometryText (value, definition) {
+    return SpatialUtil.toEwkt(value, definition) || SpatialUtil.toGeojsonText(value, definition)
+  },
+
+  /**
+   * Build the sql that brings a geometry into the srid of an attribute. An
+   * attribute without an srid (0) has nothing to re-project into, and
+   * ST_Transform to 0 fails, so the srid of the geometry is only set.
+   */
+  toNativeSrid (geometry, definition) {
+    let nativeSrid = SpatialUtil.getNativeSrid(definition)
+    return nativeSrid ? `ST_Transform(${geometry}, ${nativeSrid})` : `ST_SetSRID(${geometry}, 0)`
+  },
+
+  /**
+   * Build the sql that converts a text column of toGeometryText values into
+   * geometries
+   */
+  geometryFromText (column) {
+    return `case when ${column} like '{%' then ST_GeomFromGeoJSON(${column}) else ST_GeomFromEWKT(${column}) end`
+  },
+
+  /**
+   * e.g. SRID=4326;POINT(-97.74 30.27) or POINT(-97.74 30.27)
+   */
+  ewktRegex: /^\s*(?:SRID=(\d+)\s*;)?\s*([a-z][\s\S]*)$/i,
+
+  /**
+   * Convert WKT or EWKT into EWKT, in the declared srid of the attribute
+   * unless it has an srid of its own. Anything else (e.g. geojson) is
+   * converted into undefined.
+   */
+  toEwkt (value, definition) {
+    if (!_.isString(value)) return
+
+    let [ $, srid, wkt ] = SpatialUtil.ewktRegex.exec(value) || [ ]
+    if (!wkt) return
+
+    return `SRID=${srid || SpatialUtil.getDeclaredSrid(null, definition)};${_.trim(wkt)}`
+  },
+
+  /**
+   * Extract the geometry from a geojson object or string, and attach the
+   * declared srid as its crs.
+   */
+  normalizeGeojson (geojson, definition) {
     if (_.isEmpty(geojson)) return
 
     let obj = _.isString(geojson) ? JSON.parse(geojson) : geojson
     let geometry = obj.geometry || obj
 
-    _.defaultsDeep(geometry, {
+    return _.defaultsDeep({ }, geometry, {
       crs: {
         type: 'name',
         properties: {
@@ -78,11 +197,6 @@ const SpatialUtil = {
         }
       }
     })
-
-    return cxn.st.transform(
-      cxn.st.geomFromGeoJSON(geometry),
-      SpatialUtil.getNativeSrid(definition)
-    )
   },
 
   /**
@@ -96,20 +210,466 @@ const SpatialUtil = {
 
   /**
    * Get "native srid". This is the SRID that we're using to store geometries
-   * in the database.
+   * in the database. Geography columns default to 4326.
    *
    * examples:
    *  geometry(Point, 4326)
+   *  geography(Polygon)
    */
   getNativeSrid (definition) {
-    let [ $, dbType, geoType, srid ] = SpatialUtil.spatialTypeRegex.exec(definition.dbType)
-    return srid || 0
+    let { dbType, srid } = SpatialUtil.parseSpatialType(definition)
+    return Number(srid) || (dbType === 'geography' ? 4326 : 0)
   },
 
-  buildSpatialSelect (tableDefinition, tableName, cxn) {
+  /**
+   * Get the geometry type of a column, e.g. 'Point', or undefined if the
+   * column accepts any type of geometry
+   */
+  getGeometryType (definition) {
+    return SpatialUtil.parseSpatialType(definition).geoType
+  },
+
+  /**
+   * Parse the dbType of a spatial attribute
+   *
+   * @returns { dbType, geoType, srid }
+   */
+  parseSpatialType (definition) {
+    let [ $, dbType, geoType, srid ] = SpatialUtil.spatialTypeRegex.exec(_.get(definition, 'dbType') || '') || [ ]
+    return {
+      dbType: _.toLower(dbType),
+      geoType: geoType,
+      srid: srid
+    }
+  },
+
+  /**
+   * Get the column type of a spatial attribute, e.g. geometry(Point, 4326)
+   */
+  getColumnType (definition) {
+    let { dbType, geoType, srid } = SpatialUtil.parseSpatialType(definition)
+    if (!geoType) return dbType
+
+    return `${dbType}(${geoType}, ${SpatialUtil.getNativeSrid(definition)})`
+  },
+
+  spatialModifiers: [ 'near', 'intersects', 'within', 'contains', 'bbox' ],
+
+  /**
+   * Remove the spatial modifiers from the where clause of criteria, and build
+   * them into sql conditions (with ? placeholders) instead. waterline-sequel
+   * does not know about them.
+   *
+   * where: {
+   *   location: {
+   *     near: { geometry: { type: 'Point', coordinates: [ -97.74, 30.27 ] }, distance: 1000 }
+   *   },
+   *   boundary: { intersects: { type: 'Polygon', coordinates: [ ... ] } },
+   *   area: { bbox: [ -98, 30, -97, 31 ] }
+   * }
+   *
+   * @returns { criteria, conditions: [ { sql, bindings } ] }
+   */
+  extractSpatialCriteria (tableName, tableDefinition, criteria) {
+    let conditions = [ ]
+    let where = _.reduce(_.get(criteria, 'where'), (where, value, attr) => {
+      let definition = tableDefinition[attr]
+      let modifiers = _.intersection(_.keys(value), SpatialUtil.spatialModifiers)
+
+      if (!SpatialUtil.isSpatialColumn(definition) || !_.isPlainObject(value) || _.isEmpty(modifiers)) {
+        where[attr] = value
+        return where
+      }
+      _.each(modifiers, modifier => {
+        conditions.push(SpatialUtil.buildSpatialCondition(tableName, attr, modifier, value[modifier], definition))
+      })
+      if (_.size(value) > modifiers.length) {
+        where[attr] = _.omit(value, modifiers)
+      }
+      return where
+    }, { })
+
+    if (_.isEmpty(conditions)) {
+      return { criteria, conditions }
+    }
+    return {
+      criteria: _.assign({ }, criteria, { where: _.isEmpty(where) ? null : where }),
+      conditions: conditions
+    }
+  },
+
+  /**
+   * near: { geometry, distance } - within distance meters of geometry
+   * intersects: geometry
+   * within: geometry - the attribute lies within geometry
+   * contains: geometry - the attribute contains geometry
+   * bbox: [ minX, minY, maxX, maxY ], or { bbox, crs } - the bounding boxes
+   *       of the attribute and of the envelope intersect
+   *
+   * Geometries are geojson, in the srid of their crs (or else the srid of the
+   * attribute), and are re-projected to the srid of the attribute.
+   */
+  buildSpatialCondition (tableName, attr, modifier, argument, definition) {
+    let column = `"${tableName}"."${attr}"`
+    let geometry = SpatialUtil.toNativeSrid('ST_GeomFromGeoJSON(?)', definition)
+
+    switch (modifier) {
+      case 'near':
+        if (_.isEmpty(_.get(argument, 'geometry')) || !_.isFinite(_.get(argument, 'distance'))) {
+          throw new Error(`"near" criteria on ${attr} must be { geometry, distance }, with the distance in meters`)
+        }
+        return {
+          sql: `ST_DWithin(${SpatialUtil.toGeography(column, definition)}, ST_Transform(ST_GeomFromGeoJSON(?), 4326)::geography, ?)`,
+          bindings: [ SpatialUtil.toGeojsonText(argument.geometry, definition), argument.distance ]
+        }
+
+      case 'intersects':
+      case 'within':
+      case 'contains':
+        if (_.isEmpty(argument)) {
+          throw new Error(`"${modifier}" criteria on ${attr} must be a geojson geometry`)
+        }
+        return {
+          sql: `ST_${_.upperFirst(modifier)}(${SpatialUtil.toGeometry(column, definition)}, ${geometry})`,
+          bindings: [ SpatialUtil.toGeojsonText(argument, definition) ]
+        }
+
+      case 'bbox': {
+        let bbox = _.isArray(argument) ? argument : _.get(argument, 'bbox')
+        if (_.size(bbox) !== 4 || !_.every(bbox, _.isFinite)) {
+          throw new Error(`"bbox" criteria on ${attr} must be [ minX, minY, maxX, maxY ]`)
+        }
+        let declaredSrid = SpatialUtil.toSrid(SpatialUtil.getDeclaredSrid(argument, definition))
+        return {
+          sql: `${SpatialUtil.toGeometry(column, definition)} && ${SpatialUtil.toNativeSrid(`ST_MakeEnvelope(?, ?, ?, ?, ${declaredSrid})`, definition)}`,
+          bindings: bbox
+        }
+      }
+    }
+  },
+
+  /**
+   * Build the computed "distance" field requested by criteria.distance, which
+   * names a spatial attribute and the geojson geometry to measure from:
+   *
+   * {
+   *   distance: { location: { type: 'Point', coordinates: [ -97.74, 30.27 ] } },
+   *   sort: { distance: 1 }
+   * }
+   *
+   * Distances are in meters for attributes in srid 4326 (measured on the
+   * geography), and in the units of the srid of the attribute otherwise.
+   *
+   * @returns a promise for { attr, select, knn, indexed }, or for undefined
+   *          if no distance was requested
+   */
+  buildDistance (cxn, tableName, criteria) {
+    let distance = _.get(criteria, 'distance')
+    if (_.isEmpty(distance)) return Promise.resolve()
+
+    let definition = cxn.collections[tableName].definition
+    let [ attr, ...others ] = _.keys(distance)
+    if (others.length || !SpatialUtil.isSpatialColumn(definition[attr]) || _.isEmpty(distance[attr])) {
+      return Promise.reject(new Error('"distance" criteria must map one spatial attribute to a geojson geometry'))
+    }
+
+    let column = `"${tableName}"."${attr}"`
+    let attrDefinition = definition[attr]
+    let nativeSrid = SpatialUtil.getNativeSrid(attrDefinition)
+    let geometry = SpatialUtil.toGeojsonText(distance[attr], attrDefinition)
+    let measure = nativeSrid == 4326
+      ? `ST_Distance(${SpatialUtil.toGeography(column, attrDefinition)}, ST_Transform(ST_GeomFromGeoJSON(?), 4326)::geography)`
+      : `ST_Distance(${column}, ${SpatialUtil.toNativeSrid('ST_GeomFromGeoJSON(?)', attrDefinition)})`
+
+    return SpatialUtil.getGistIndexes(cxn, tableName)
+      .then(indexedColumns => {
+        return {
+          attr: attr,
+          select: cxn.knex.raw(`${measure} as "distance"`, [ geometry ]),
+          knn: cxn.knex.raw(`${column} <-> ${SpatialUtil.toNativeSrid('ST_GeomFromGeoJSON(?)', attrDefinition)}`, [ geometry ]),
+          indexed: _.includes(indexedColumns, attr)
+        }
+      })
+  },
+
+  /**
+   * Order by the computed distance. Nearest-first ordering uses the KNN
+   * operator (<->) when the attribute has a GiST index, so that the index
+   * can be used; note that <-> measures planar distance in the units of the
+   * srid of the attribute.
+   */
+  buildDistanceOrderBy (distance, direction) {
+    if (distance.indexed && !direction) {
+      return distance.knn.toString()
+    }
+    return `"distance" ${direction}`
+  },
+
+  /**
+   * Half the width of the web mercator (EPSG:3857) world, in meters
+   */
+  webMercatorExtent: 20037508.342789244,
+
+  /**
+   * Get the bounds of tile z/x/y in web mercator, as [ minX, minY, maxX, maxY ]
+   */
+  getTileBounds (tile) {
+    let [ z, x, y ] = _.map([ tile.z, tile.x, tile.y ], Number)
+    let tiles = Math.pow(2, z)
+    if (!_.isInteger(z) || z < 0 || z > 30) {
+      throw new Error(`Invalid tile zoom "${z}"`)
+    }
+    if (!_.isInteger(x) || !_.isInteger(y) || x < 0 || y < 0 || x >= tiles || y >= tiles) {
+      throw new Error(`Invalid tile ${z}/${x}/${y}`)
+    }
+
+    let extent = SpatialUtil.webMercatorExtent
+    let size = 2 * extent / tiles
+    return [ -extent + x * size, extent - (y + 1) * size, -extent + (x + 1) * size, extent - y * size ]
+  },
+
+  /**
+   * Build the query of a Mapbox Vector Tile (see Adapter.tile). The geometries
+   * are re-projected to web mercator and clipped to the tile; the attributes
+   * become the properties of the features.
+   *
+   * @returns a knex raw query that selects the tile as "tile"
+   */
+  buildTileQuery (cxn, tableName, options) {
+    if (!cxn.postgisVersion || cxn.postgisVersion < 2.4) {
+      throw new Error('Vector tiles require PostGIS 2.4 or higher')
+    }
+
+    let definition = cxn.collections[tableName].definition
+    let spatialColumns = SpatialUtil.getSpatialColumns(definition)
+    let { geometry = _.head(_.keys(spatialColumns)), extent = 4096, buffer = 256 } = options
+    let layer = options.layer || tableName
+    if (!_.has(spatialColumns, geometry)) {
+      throw new Error(`"${geometry}" is not a spatial attribute of ${tableName}`)
+    }
+    let nativeSrid = SpatialUtil.getNativeSrid(spatialColumns[geometry])
+    if (!nativeSrid) {
+      throw new Error(`${tableName}.${geometry} has no srid, and cannot be re-projected into a tile`)
+    }
+
+    // attributes are selected from their columnName, as the property of their name
+    let modelAttributes = cxn.collections[tableName]._attributes
+    let attributes = options.attributes || _.map(_.keys(_.omit(definition, _.keys(spatialColumns))), column => {
+      return _.findKey(modelAttributes, attr => _.get(attr, 'columnName') === column) || column
+    })
+    let columns = _.map(attributes, attr => {
+      let columnName = _.get(modelAttributes, [ attr, 'columnName' ], attr)
+      if (!_.has(definition, columnName) || _.has(spatialColumns, columnName)) {
+        throw new Error(`"${attr}" is not a non-spatial attribute of ${tableName}`)
+      }
+      return columnName
+    })
+
+    let knex = cxn.knex
+    let column = SpatialUtil.toGeometry(`"${tableName}"."${geometry}"`, spatialColumns[geometry])
+    let envelope = knex.raw('ST_MakeEnvelope(?, ?, ?, ?, 3857)', SpatialUtil.getTileBounds(options))
+    let features = knex(tableName)
+      .withSchema(Util.getSchemaName(cxn, tableName))
+      .select([
+        knex.raw(`ST_AsMVTGeom(ST_Transform(${column}, 3857), ?, ?, ?, true) as "${geometry}"`, [ envelope, extent, buffer ]),
+        ..._.map(attributes, (attr, i) => knex.raw('?? as ??', [ `${tableName}.${columns[i]}`, attr ]))
+      ])
+      .where(knex.raw(`${column} && ST_Transform(?, ${nativeSrid})`, [ envelope ]))
+
+    let whereClause = Util.buildWhereClause(cxn, tableName, options.criteria || { })
+    if (!_.isEmpty(_.trim(whereClause.sql))) {
+      features.andWhere(whereClause)
+    }
+
+    return knex.raw('select ST_AsMVT(features, ?, ?, ?) as tile from (?) as features where ?? is not null', [
+      layer, extent, geometry, features, geometry
+    ])
+  },
+
+  /**
+   * List the columns of a table covered by a GiST index. The result is cached
+   * on the connection until the table is altered by the adapter.
+   */
+  getGistIndexes (cxn, tableName) {
+    if (!cxn.gistIndexes.has(tableName)) {
+      let indexes = cxn.knex.raw(SQL.gistIndexes, [ tableName, Util.getSchemaName(cxn, tableName) ])
+        .then(({ rows }) => _.map(rows, 'column_name'))
+
+      cxn.gistIndexes.set(tableName, indexes)
+      indexes.catch(() => cxn.gistIndexes.delete(tableName))
+    }
+    return cxn.gistIndexes.get(tableName)
+  },
+
+  /**
+   * Cast a geometry column to geography (in srid 4326), so that distances are
+   * measured in meters
+   */
+  toGeography (column, definition) {
+    if (SpatialUtil.isGeography(definition)) {
+      return column
+    }
+    if (SpatialUtil.getNativeSrid(definition) == 4326) {
+      return `${column}::geography`
+    }
+    return `ST_Transform(${column}, 4326)::geography`
+  },
+
+  /**
+   * Cast a geography column to geometry, for the functions and operators
+   * that only exist for geometries
+   */
+  toGeometry (column, definition) {
+    if (SpatialUtil.isGeography(definition)) {
+      return `${column}::geometry`
+    }
+    return column
+  },
+
+  /**
+   * srids are interpolated into sql, so make sure that they are integers
+   */
+  toSrid (srid) {
+    let value = Number(srid)
+    if (!_.isInteger(value)) {
+      throw new Error(`Invalid srid "${srid}"`)
+    }
+    return value
+  },
+
+  /**
+   * Select the spatial columns of a table in their output format (see
+   * getGeometryFormat)
+   */
+  buildSpatialSelect (tableDefinition, tableName, cxn, criteria) {
+    if (!cxn.postgisVersion) return [ ]
+
     return _.map(SpatialUtil.getSpatialColumns(tableDefinition), (definition, attr) => {
-      return cxn.st.asGeoJSON(`${tableName}.${attr}`).as(attr)
+      let format = SpatialUtil.getGeometryFormat(attr, tableDefinition, criteria)
+      let output = SpatialUtil.buildGeometryOutput(`"${tableName}"."${attr}"`, definition, format, cxn)
+
+      return cxn.knex.raw(`${output} as "${attr}"`)
+    })
+  },
+
+  geometryFormats: [ 'geojson', 'wkt', 'ewkt', 'ewkb' ],
+
+  /**
+   * The criteria options that set the output of spatial attributes
+   */
+  outputOptions: [ 'geometryFormat', 'geometryPrecision', 'featureCollection' ],
+
+  /**
+   * Get the output format of a spatial attribute. It is set by the
+   * geometryFormat and geometryPrecision of the criteria, either for every
+   * spatial attribute or keyed by attribute, or else by the geometryFormat
+   * and geometryPrecision of the attribute. The format defaults to geojson,
+   * and the precision to the default of postgis.
+   *
+   * The geometry of a feature collection (see getFeatureGeometry) is always
+   * geojson.
+   *
+   * @returns { type, precision }
+   */
+  getGeometryFormat (attr, tableDefinition, criteria) {
+    let definition = tableDefinition[attr]
+    let [ type, precision ] = _.map([ 'geometryFormat', 'geometryPrecision' ], option => {
+      let value = _.get(criteria, option)
+      if (_.isPlainObject(value)) {
+        value = value[attr]
+      }
+      return _.isNil(value) ? definition[option] : value
     })
+
+    if (attr === SpatialUtil.getFeatureGeometry(tableDefinition, criteria)) {
+      type = 'geojson'
+    }
+    type = _.toLower(type || 'geojson')
+    if (!_.includes(SpatialUtil.geometryFormats, type)) {
+      throw new Error(`Unknown geometry format "${type}" for ${attr}, expected one of: ${SpatialUtil.geometryFormats.join(', ')}`)
+    }
+    if (!_.isNil(precision) && !(_.isInteger(precision) && precision >= 0)) {
+      throw new Error(`Invalid geometry precision "${precision}" for ${attr}`)
+    }
+
+    return { type, precision }
+  },
+
+  /**
+   * Build the sql that outputs a spatial column in the given format. Hex
+   * EWKB has no precision.
+   */
+  buildGeometryOutput (column, definition, { type, precision }, cxn) {
+    let precisionArg = _.isNil(precision) ? '' : `, ${precision}`
+    if (precisionArg && _.includes([ 'wkt', 'ewkt' ], type) && cxn.postgisVersion < 3.1) {
+      throw new Error(`The precision of ${type} output requires PostGIS 3.1 or higher`)
+    }
+
+    switch (type) {
+      case 'wkt':
+        return `ST_AsText(${column}${precisionArg})`
+      case 'ewkt':
+        return `ST_AsEWKT(${column}${precisionArg})`
+      case 'ewkb':
+        return `encode(ST_AsEWKB(${SpatialUtil.toGeometry(column, definition)}), 'hex')`
+      default:
+        return `ST_AsGeoJSON(${column}${precisionArg})`
+    }
+  },
+
+  /**
+   * Parse a spatial value selected by buildSpatialSelect. geojson is parsed,
+   * and the other formats are returned as text, as is geojson that does not
+   * parse (e.g. the value of a raw query), rather than failing the rows it
+   * is in.
+   */
+  parseGeometry (value, attr, tableDefinition, criteria) {
+    if (!_.isString(value)) return value
+    if (SpatialUtil.getGeometryFormat(attr, tableDefinition, criteria).type !== 'geojson') return value
+
+    try {
+      return JSON.parse(value)
+    }
+    catch (e) {
+      return value
+    }
+  },
+
+  /**
+   * Get the spatial attribute that is the geometry of the features, when the
+   * criteria ask for a feature collection: either the attribute named by
+   * criteria.featureCollection, or the first spatial attribute if it is true
+   */
+  getFeatureGeometry (tableDefinition, criteria) {
+    let featureCollection = _.get(criteria, 'featureCollection')
+    if (!featureCollection) return
+
+    let spatialColumns = SpatialUtil.getSpatialColumns(tableDefinition)
+    let attr = _.isString(featureCollection) ? featureCollection : _.head(_.keys(spatialColumns))
+    if (!_.has(spatialColumns, attr)) {
+      throw new Error('"featureCollection" must be true or name a spatial attribute')
+    }
+    return attr
+  },
+
+  /**
+   * Convert records into a geojson FeatureCollection. The other attributes of
+   * the records become the properties of the features.
+   */
+  toFeatureCollection (records, tableDefinition, criteria, pk) {
+    let geometry = SpatialUtil.getFeatureGeometry(tableDefinition, criteria)
+
+    return {
+      type: 'FeatureCollection',
+      features: _.map(records, record => {
+        return {
+          type: 'Feature',
+          id: record[pk],
+          geometry: record[geometry] || null,
+          properties: _.omit(record, geometry)
+        }
+      })
+    }
   },
 
   getSpatialColumns (tableDefinition) {
@@ -123,8 +683,11 @@ const SpatialUtil = {
   isSpatialColumn (definition) {
     if (!definition || !definition.dbType) return false
 
-    let [ $, dbType, geoType, srid ] = SpatialUtil.spatialTypeRegex.exec(definition.dbType) || [ ]
-    return dbType === 'geometry'
+    return _.includes(SpatialUtil.spatialTypes, SpatialUtil.parseSpatialType(definition).dbType)
+  },
+
+  isGeography (definition) {
+    return SpatialUtil.parseSpatialType(definition).dbType === 'geography'
   }
 }
 
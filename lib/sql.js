@@ -1,22 +1,354 @@
 const SQL = {
 
+  /**
+   * The schema and comment of a table. The tables of describe are found by
+   * name, in the given schema or else in the current schema.
+   */
+  table: `
+    select
+      nspname as schema_name,
+      relname as table_name,
+      obj_description(pg_class.oid, 'pg_class') as comment
+
+    from
+      pg_class
+
+    inner join pg_namespace
+      on (pg_namespace.oid = pg_class.relnamespace)
+
+    where
+      pg_class.relname = ?
+      and pg_namespace.nspname = coalesce(?, current_schema())
+      and pg_class.relkind in ('r', 'p', 'v', 'm', 'f')
+  `,
+
+  /**
+   * The full type and the comment of each column of a table, e.g.
+   * character varying(255)
+   */
+  columns: `
+    select
+      attname as column_name,
+      format_type(atttypid, atttypmod) as db_type,
+      col_description(pg_class.oid, attnum) as comment
+
+    from
+      pg_attribute
+
+    inner join pg_class
+      on (pg_class.oid = pg_attribute.attrelid)
+    inner join pg_namespace
+      on (pg_namespace.oid = pg_class.relnamespace)
+
+    where
+      pg_class.relname = ?
+      and pg_namespace.nspname = coalesce(?, current_schema())
+      and pg_attribute.attnum > 0
+      and not pg_attribute.attisdropped
+  `,
+
+  /**
+   * The indexes of a table, with their columns in order, and the expression
+   * and predicate of expression and partial indexes
+   */
   indexes: `
     select
+      index_class.relname as index_name,
+      amname as method,
+      indisprimary as primary_key,
+      indisunique as unique,
+      coalesce((
+        select array_agg(attname::text order by key.position)
+        from unnest(pg_index.indkey::int2[]) with ordinality as key (attnum, position)
+        inner join pg_attribute
+          on (pg_attribute.attrelid = pg_index.indrelid and pg_attribute.attnum = key.attnum)
+      ), '{}') as columns,
+      pg_get_expr(pg_index.indexprs, pg_index.indrelid) as expression,
+      pg_get_expr(pg_index.indpred, pg_index.indrelid) as predicate,
+      pg_get_indexdef(pg_index.indexrelid) as definition
+
+    from
+      pg_index
+
+    inner join pg_class as index_class
+      on (index_class.oid = pg_index.indexrelid)
+    inner join pg_am
+      on (pg_am.oid = index_class.relam)
+    inner join pg_class
+      on (pg_class.oid = pg_index.indrelid)
+    inner join pg_namespace
+      on (pg_namespace.oid = pg_class.relnamespace)
+
+    where
+      pg_class.relname = ?
+      and pg_namespace.nspname = coalesce(?, current_schema())
+    order by index_class.relname
+  `,
+
+  /**
+   * The foreign keys of a table, with their columns and referenced columns
+   * in order, and their ON DELETE and ON UPDATE actions
+   */
+  foreignKeys: `
+    select
+      conname as constraint_name,
+      (
+        select array_agg(attname::text order by key.position)
+        from unnest(conkey) with ordinality as key (attnum, position)
+        inner join pg_attribute
+          on (pg_attribute.attrelid = conrelid and pg_attribute.attnum = key.attnum)
+      ) as columns,
+      referenced_namespace.nspname as referenced_schema,
+      referenced_class.relname as referenced_table,
+      (
+        select array_agg(attname::text order by key.position)
+        from unnest(confkey) with ordinality as key (attnum, position)
+        inner join pg_attribute
+          on (pg_attribute.attrelid = confrelid and pg_attribute.attnum = key.attnum)
+      ) as referenced_columns,
+      case confdeltype
+        when 'a' then 'no action' when 'r' then 'restrict' when 'c' then 'cascade'
+        when 'n' then 'set null' when 'd' then 'set default'
+      end as on_delete,
+      case confupdtype
+        when 'a' then 'no action' when 'r' then 'restrict' when 'c' then 'cascade'
+        when 'n' then 'set null' when 'd' then 'set default'
+      end as on_update,
+      condeferrable as deferrable,
+      condeferred as initially_deferred
+
+    from
+      pg_constraint
+
+    inner join pg_class
+      on (pg_class.oid = conrelid)
+    inner join pg_namespace
+      on (pg_namespace.oid = pg_class.relnamespace)
+    inner join pg_class as referenced_class
+      on (referenced_class.oid = confrelid)
+    inner join pg_namespace as referenced_namespace
+      on (referenced_namespace.oid = referenced_class.relnamespace)
+
+    where
+      contype = 'f'
+      and pg_class.relname = ?
+      and pg_namespace.nspname = coalesce(?, current_schema())
+    order by conname
+  `,
+
+  /**
+   * The CHECK constraints of a table, with the columns they mention
+   */
+  checkConstraints: `
+    select
+      conname as constraint_name,
+      pg_get_constraintdef(pg_constraint.oid) as definition,
+      coalesce((
+        select array_agg(attname::text order by key.position)
+        from unnest(conkey) with ordinality as key (attnum, position)
+        inner join pg_attribute
+          on (pg_attribute.attrelid = conrelid and pg_attribute.attnum = key.attnum)
+      ), '{}') as columns
+
+    from
+      pg_constraint
+
+    inner join pg_class
+      on (pg_class.oid = conrelid)
+    inner join pg_namespace
+      on (pg_namespace.oid = pg_class.relnamespace)
+
+    where
+      contype = 'c'
+      and pg_class.relname = ?
+      and pg_namespace.nspname = coalesce(?, current_schema())
+    order by conname
+  `,
+
+  /**
+   * The tables that exist of a list of tables and their schemas (null for
+   * the current schema), with the names of their foreign keys. Each table is
+   * returned with the schema it was asked for.
+   */
+  tableForeignKeys: `
+    select
+      tables.table_name,
+      tables.schema_name,
+      coalesce((
+        select array_agg(conname::text)
+        from pg_constraint
+        where conrelid = pg_class.oid and contype = 'f'
+      ), '{}') as constraint_names
+
+    from
+      unnest(?::name[], ?::name[]) as tables (table_name, schema_name)
+
+    inner join pg_namespace
+      on (pg_namespace.nspname = coalesce(tables.schema_name, current_schema()))
+    inner join pg_class
+      on (pg_class.relnamespace = pg_namespace.oid and pg_class.relname = tables.table_name)
+
+    where
+      relkind in ('r', 'p')
+  `,
+
+  /**
+   * The foreign keys of other tables that reference a table, with their
+   * definitions
+   */
+  referencingForeignKeys: `
+    select
+      conname as constraint_name,
+      pg_namespace.nspname as schema_name,
+      pg_class.relname as table_name,
+      pg_get_constraintdef(pg_constraint.oid) as definition
+
+    from
+      pg_constraint
+
+    inner join pg_class
+      on (pg_class.oid = conrelid)
+    inner join pg_namespace
+      on (pg_namespace.oid = pg_class.relnamespace)
+    inner join pg_class as referenced_class
+      on (referenced_class.oid = confrelid)
+    inner join pg_namespace as referenced_namespace
+      on (referenced_namespace.oid = referenced_class.relnamespace)
+
+    where
+      contype = 'f'
+      and conrelid <> confrelid
+      and referenced_class.relname = ?
+      and referenced_namespace.nspname = coalesce(?, current_schema())
+    order by conname
+  `,
+
+  /**
+   * The plain single-column indexes of a table (no expressions or
+   * predicates), with their method and the constraint that owns them, if any
+   */
+  columnIndexes: `
+    select
+      index_class.relname as index_name,
       attname as column_name,
       indisprimary as primary_key,
       indisunique as unique,
-      true as indexed
+      amname as method,
+      conname as constraint_name
+
+    from
+      pg_index
+
+    inner join pg_class as index_class
+      on (index_class.oid = pg_index.indexrelid)
+    inner join pg_am
+      on (pg_am.oid = index_class.relam)
+    inner join pg_attribute
+      on (pg_attribute.attnum = pg_index.indkey[0] and pg_attribute.attrelid = pg_index.indrelid)
+    inner join pg_class
+      on (pg_class.oid = pg_index.indrelid)
+    inner join pg_namespace
+      on (pg_namespace.oid = pg_class.relnamespace)
+    left join pg_constraint
+      on (pg_constraint.conindid = pg_index.indexrelid and pg_constraint.conrelid = pg_index.indrelid)
+
+    where
+      pg_class.relname = ?
+      and pg_namespace.nspname = coalesce(?, current_schema())
+      and pg_index.indnatts = 1
+      and pg_index.indexprs is null
+      and pg_index.indpred is null
+  `,
+
+  /**
+   * Columns of a table that are covered by a GiST index
+   */
+  gistIndexes: `
+    select distinct attname as column_name
 
     from
       pg_index
 
+    inner join pg_class as index_class
+      on (index_class.oid = pg_index.indexrelid)
+    inner join pg_am
+      on (pg_am.oid = index_class.relam)
     inner join pg_attribute
       on (pg_attribute.attnum = any (pg_index.indkey) and pg_attribute.attrelid = pg_index.indrelid)
     inner join pg_class
       on (pg_class.oid = pg_index.indrelid)
+    inner join pg_namespace
+      on (pg_namespace.oid = pg_class.relnamespace)
+
+    where
+      pg_class.relname = ?
+      and pg_namespace.nspname = coalesce(?, current_schema())
+      and pg_am.amname = 'gist'
+  `,
+
+  /**
+   * The values of the enum types of a schema, by name
+   */
+  enumTypes: `
+    select typname as name, array_agg(enumlabel::text order by enumsortorder) as values
+
+    from
+      pg_type
+
+    inner join pg_namespace
+      on (pg_namespace.oid = pg_type.typnamespace)
+    inner join pg_enum
+      on (pg_enum.enumtypid = pg_type.oid)
+
+    where
+      typname = any (?::name[])
+      and pg_namespace.nspname = coalesce(?, current_schema())
+    group by typname
+  `,
+
+  /**
+   * Columns of a table that are of an enum type, with the values of the type
+   */
+  enumColumns: `
+    select
+      attname as column_name,
+      typname as enum_type,
+      array_agg(enumlabel::text order by enumsortorder) as enum
+
+    from
+      pg_attribute
+
+    inner join pg_class
+      on (pg_class.oid = pg_attribute.attrelid)
+    inner join pg_namespace
+      on (pg_namespace.oid = pg_class.relnamespace)
+    inner join pg_type
+      on (pg_type.oid = pg_attribute.atttypid)
+    inner join pg_enum
+      on (pg_enum.enumtypid = pg_type.oid)
 
     where
       pg_class.relname = ?
+      and pg_namespace.nspname = coalesce(?, current_schema())
+      and pg_attribute.attnum > 0
+      and not pg_attribute.attisdropped
+    group by attname, typname
+  `,
+
+  /**
+   * The schemas whose names start with a prefix
+   */
+  prefixedSchemas: `
+    select nspname as schema_name
+    from pg_namespace
+    where left(nspname, char_length(?)) = ?
+    order by nspname
+  `,
+
+  postgisVersion: `
+    select extversion as version
+    from pg_extension
+    where extname = 'postgis'
   `,
 
   storedProcedures: `
@@ -0,0 +1,227 @@
+import _ from 'lodash'
+import Adapter from './adapter'
+import Migration from './migration'
+import ForeignKeyUtil from './foreignkeys'
+import Operations from './operations'
+import Util from './util'
+import SQL from './sql'
+
+/**
+ * Schema-per-tenant multitenancy. Each tenant has the tables of the models
+ * of a connection in a schema of its own, named after it. A tenant is
+ * reached through a connection of its own, registered in Adapter.connections
+ * next to the connection it belongs to, which shares its pool.
+ */
+const TenantUtil = {
+
+  /**
+   * A tenant id names a schema, which knex reads as a path in places (e.g.
+   * withSchema reads a.b as a schema and a table), so it is restricted to
+   * letters, digits and underscores
+   */
+  tenantRegex: /^[a-z0-9_]+$/i,
+
+  /**
+   * An E_TENANT adapter error, for a tenant id that cannot name a schema
+   */
+  buildError (message) {
+    return _.assign(new Error(message), { code: 'E_TENANT' })
+  },
+
+  validateTenant (tenant) {
+    if (_.isNil(tenant) || tenant === '') {
+      throw TenantUtil.buildError('A tenant is required')
+    }
+    if (!TenantUtil.tenantRegex.test(String(tenant))) {
+      throw TenantUtil.buildError(`Invalid tenant "${tenant}": a tenant may only have letters, digits and underscores`)
+    }
+  },
+
+  /**
+   * e.g. the tables of tenant acme are in the schema tenant_acme. Postgres
+   * truncates names to 63 bytes, which would put tenants whose names share
+   * those bytes in the same schema, so a longer name is rejected.
+   */
+  getSchemaName (config, tenant) {
+    let schemaName = `${_.get(config, 'tenants.prefix', '')}${tenant}`
+    if (Buffer.byteLength(schemaName) > 63) {
+      throw TenantUtil.buildError(`The schema name of tenant ${tenant}, ${schemaName}, is longer than 63 bytes`)
+    }
+    return schemaName
+  },
+
+  /**
+   * e.g. the connection of tenant acme on postgresdb is postgresdb:acme
+   */
+  getIdentity (identity, tenant) {
+    return `${identity}:${tenant}`
+  },
+
+  /**
+   * The connection of a tenant, registered the first time it is asked for,
+   * until it is released (see TenantUtil.release). Models with a schemaName
+   * of their own are shared by all tenants, and stay in their schema.
+   */
+  getConnection (cxn, tenant) {
+    TenantUtil.validateTenant(tenant)
+    if (cxn.parent) {
+      cxn = Adapter.connections.get(cxn.parent)
+    }
+    let identity = TenantUtil.getIdentity(cxn.identity, tenant)
+    let tenantCxn = Adapter.connections.get(identity)
+    if (tenantCxn) return tenantCxn
+
+    let config = _.assign({ }, cxn.config, { schemaName: TenantUtil.getSchemaName(cxn.config, tenant) })
+    tenantCxn = _.assign({ }, cxn, {
+      identity: identity,
+      parent: cxn.identity,
+      tenant: String(tenant),
+      config: config,
+      schema: Adapter.buildSchema(config, cxn.collections),
+      gistIndexes: new Map()
+    })
+    Adapter.connections.set(identity, tenantCxn)
+
+    return tenantCxn
+  },
+
+  /**
+   * Unregister the connection of a tenant. Its pool is the pool of its
+   * connection, which stays open.
+   *
+   * @returns whether the tenant had a connection
+   */
+  release (cxn, tenant) {
+    if (cxn.parent) {
+      cxn = Adapter.connections.get(cxn.parent)
+    }
+    return Adapter.connections.delete(TenantUtil.getIdentity(cxn.identity, tenant))
+  },
+
+  /**
+   * The connections of the tenants of a connection
+   */
+  getConnections (cxn) {
+    return _.filter([ ...Adapter.connections.values() ], ({ parent }) => parent === cxn.identity)
+  },
+
+  /**
+   * The tables that each tenant has, in the order they are created in
+   */
+  getTableNames (cxn) {
+    let tableNames = _.filter(_.keys(cxn.collections), tableName => {
+      return !_.get(cxn.collections, [ tableName, 'meta', 'schemaName' ])
+    })
+    return ForeignKeyUtil.sortTables(cxn, tableNames)
+  },
+
+  /**
+   * @returns the tenants that have a schema, by the prefix of their schemas
+   */
+  list (cxn, operation) {
+    let prefix = _.get(cxn.config, 'tenants.prefix')
+    if (!prefix) {
+      return Promise.reject(new Error('Set tenants.prefix on the connection to list its tenants'))
+    }
+    return cxn.knex.raw(SQL.prefixedSchemas, [ prefix, prefix ])
+      .on('query', Operations.recordQuery(operation))
+      .then(({ rows }) => _.map(rows, ({ schema_name }) => schema_name.substring(prefix.length)))
+  },
+
+  /**
+   * Define the tables of a tenant, creating its schema. Tables that exist
+   * are left alone, or altered if their model migrates with 'alter'.
+   */
+  provision (cxn, tenant) {
+    let tenantCxn = TenantUtil.getConnection(cxn, tenant)
+
+    return _.reduce(TenantUtil.getTableNames(tenantCxn), (promise, tableName) => {
+        return promise.then(() => {
+          return Adapter.define(tenantCxn.identity, tableName, tenantCxn.collections[tableName].definition)
+        })
+      }, Promise.resolve())
+      .then(() => tenantCxn)
+  },
+
+  /**
+   * Bring the tables of every tenant in line with their models: alter the
+   * tables that exist, and define the ones that are missing. Models that
+   * migrate with 'safe' are left alone. Tenants are migrated one after the
+   * other, each table in a transaction of its own; the first error stops
+   * the migration.
+   *
+   * @returns { tenant: [ { table, sql, down, destructive } ] }
+   */
+  migrate (cxn, options, operation) {
+    return TenantUtil.list(cxn, operation)
+      .then(tenants => {
+        return _.reduce(tenants, (promise, tenant) => {
+          return promise.then(migrated => {
+            return TenantUtil.migrateTenant(TenantUtil.getConnection(cxn, tenant), options, operation)
+              .then(steps => _.assign(migrated, { [tenant]: steps }))
+          })
+        }, Promise.resolve({ }))
+      })
+  },
+
+  migrateTenant (cxn, options, operation) {
+    let tableNames = _.reject(TenantUtil.getTableNames(cxn), tableName => cxn.collections[tableName].migrate === 'safe')
+
+    return _.reduce(tableNames, (promise, tableName) => {
+      return promise.then(steps => {
+        return TenantUtil.migrateTable(cxn, tableName, options, operation)
+          .then(tableSteps => [ ...steps, ..._.map(tableSteps, step => _.assign({ table: tableName }, step)) ])
+      })
+    }, Promise.resolve([ ]))
+  },
+
+  migrateTable (cxn, tableName, options, operation) {
+    let { definition, migrate } = cxn.collections[tableName]
+
+    return cxn.knex.schema.withSchema(Util.getSchemaName(cxn, tableName)).hasTable(tableName)
+      .on('query', Operations.recordQuery(operation))
+      .then(exists => {
+        if (exists) {
+          return Migration.alter(cxn, tableName, options, operation)
+        }
+        return Migration.planDefine(cxn, tableName, definition, migrate, operation)
+          .then(steps => {
+            return Migration.apply(cxn, steps, operation)
+              .then(() => ForeignKeyUtil.createConstraints(cxn, tableName, operation))
+              .then(() => steps)
+          })
+      })
+  },
+
+  /**
+   * Run a query with the schema of a tenant first on the search_path, so that
+   * the query finds its tables unqualified. The search_path is set in a
+   * transaction of its own, or, in the transaction of the caller, set for the
+   * query and then put back the way it was.
+   */
+  query (cxn, query, values, txn) {
+    let searchPath = `"${cxn.config.schemaName.replace(/"/g, '""')}", public`
+    let setSearchPath = (txn, searchPath) => txn.raw('select set_config(?, ?, true)', [ 'search_path', searchPath ])
+    let run = txn => {
+      return setSearchPath(txn, searchPath)
+        .then(() => Adapter._query(cxn, query, values, txn))
+    }
+    if (!Util.isTransaction(txn)) {
+      return cxn.knex.transaction(run)
+    }
+
+    return txn.raw(`select current_setting('search_path') as search_path`)
+      .then(({ rows: [ { search_path } ] }) => {
+        let restore = () => setSearchPath(txn, search_path)
+
+        // a failed query aborts the transaction, so restoring can fail too;
+        // the error of the query is the one that is reported
+        return run(txn).then(
+          result => restore().then(() => result),
+          error => restore().then(() => Promise.reject(error), () => Promise.reject(error))
+        )
+      })
+  }
+}
+
+export default TenantUtil
@@ -2,18 +2,63 @@ import _ from 'lodash'
 import Adapter from './adapter'
 import CriteriaParser from 'waterline-sequel/sequel/lib/criteriaProcessor'
 import SpatialUtil from './spatial'
+import JsonUtil from './json'
+import ArrayUtil from './array'
 import Procedures from './procedures'
+import ContextUtil from './context'
 import knex from 'knex'
 
+/**
+ * Nesting depth and state of the transactions handed out by
+ * Adapter.transaction, keyed by knex transaction object
+ */
+const transactionStates = new WeakMap()
+
 const Util = {
 
   PG_MAX_INT: 2147483647,
 
+  /**
+   * SQLSTATE codes of errors after which a transaction can be safely retried:
+   * serialization_failure and deadlock_detected
+   */
+  PG_RETRYABLE_ERRORS: [ '40001', '40P01' ],
+
+  PG_ISOLATION_LEVELS: [ 'read committed', 'repeatable read', 'serializable' ],
+
+  /**
+   * The attribute properties of this adapter, which waterline leaves out of
+   * the definitions that it builds from the attributes of a model
+   */
+  ATTRIBUTE_PROPERTIES: [
+    'dbType', 'length', 'precision', 'scale', 'standard', 'arrayType', 'nativeEnum',
+    'renamedFrom', 'comment', 'description', 'onDelete', 'onUpdate', 'deferrable',
+    'geometryFormat', 'geometryPrecision'
+  ],
+
+  /**
+   * Copy the attribute properties of this adapter from the attributes of each
+   * model into its definition, which is keyed by column name
+   */
+  restoreAttributeProperties (collections) {
+    _.each(collections, collection => {
+      _.each(collection._attributes, (attr, attrName) => {
+        let definition = _.get(collection.definition, _.get(attr, 'columnName', attrName))
+        if (!_.isObject(definition)) return
+
+        _.defaults(definition, _.pick(attr, Util.ATTRIBUTE_PROPERTIES))
+      })
+    })
+  },
+
   initializeConnection (cxn) {
     return Adapter.getVersion(cxn)
       .then(version => {
         cxn.version = Util.validateVersion(version)
 
+        return SpatialUtil.initializeConnection(cxn)
+      })
+      .then(() => {
         return Procedures.describeAll(cxn)
       })
       .then(procedures => {
@@ -34,6 +79,169 @@ const Util = {
     return txn && _.isFunction(txn.commit)
   },
 
+  /**
+   * Normalize the options passed to Adapter.transaction. options is either a
+   * parent transaction, or an object with any of parent, isolationLevel,
+   * readOnly, deferrable, retry and context.
+   */
+  getTransactionSettings (options, config) {
+    let settings = Util.isTransaction(options) ? { parent: options } : _.clone(options)
+    let { parent, isolationLevel, readOnly, deferrable, retry } = settings
+
+    if (parent && (isolationLevel || !_.isNil(readOnly) || deferrable || retry)) {
+      throw new Error('isolationLevel, readOnly, deferrable and retry can only be set on a top-level transaction')
+    }
+    if (isolationLevel) {
+      settings.isolationLevel = isolationLevel.toLowerCase().replace(/[_\s]+/g, ' ')
+
+      if (!_.includes(Util.PG_ISOLATION_LEVELS, settings.isolationLevel)) {
+        throw new Error(`Invalid isolationLevel "${isolationLevel}". Must be one of: ${Util.PG_ISOLATION_LEVELS.join(', ')}`)
+      }
+    }
+    if (retry) {
+      settings.retry = _.defaults({ }, _.isObject(retry) ? retry : { }, config.transactionRetry)
+    }
+
+    return settings
+  },
+
+  /**
+   * Open a transaction (or a savepoint, if settings.parent is set), apply its
+   * characteristics and session context, and invoke body with it.
+   *
+   * knex commits or rolls back a transaction when the promise returned by its
+   * container settles. That is only wanted when the body is retried;
+   * otherwise the caller commits or rolls back the transaction itself.
+   */
+  openTransaction (cxn, settings, body) {
+    return Util.getTransaction(settings.parent, cxn.knex)
+      .transaction(txn => {
+        Util.registerTransaction(txn, settings.parent)
+
+        let result = Util.setTransactionCharacteristics(txn, settings)
+          .then(() => ContextUtil.apply(cxn, txn, settings.context))
+          .then(() => body(txn))
+
+        if (settings.retry) return result
+
+        result.catch(txn.rollback)
+      })
+  },
+
+  setTransactionCharacteristics (txn, { isolationLevel, readOnly, deferrable }) {
+    let modes = _.compact([
+      isolationLevel && `isolation level ${isolationLevel}`,
+      readOnly === true && 'read only',
+      readOnly === false && 'read write',
+      deferrable && 'deferrable'
+    ])
+    if (_.isEmpty(modes)) return Promise.resolve()
+
+    return txn.raw(`set transaction ${modes.join(' ')}`)
+  },
+
+  /**
+   * Run a transaction, and run it again after a backoff delay if it failed
+   * with a serialization failure or a deadlock, at most policy.retries times.
+   *
+   * @param policy - { retries, minDelay, maxDelay, factor }
+   * @param runTransaction - returns a promise that settles when the
+   *                         transaction is committed or rolled back
+   */
+  retryTransaction (policy, runTransaction, attempt = 0) {
+    return runTransaction().catch(error => {
+      if (attempt >= policy.retries || !Util.isRetryableError(error)) {
+        throw error
+      }
+      let delay = Math.min(policy.maxDelay, policy.minDelay * Math.pow(policy.factor, attempt))
+
+      return new Promise(resolve => setTimeout(resolve, delay))
+        .then(() => Util.retryTransaction(policy, runTransaction, attempt + 1))
+    })
+  },
+
+  isRetryableError (error) {
+    let code = _.get(error, 'originalError.code') || _.get(error, 'code')
+    return _.includes(Util.PG_RETRYABLE_ERRORS, code)
+  },
+
+  /**
+   * Record the depth of a new transaction (0 for a top-level transaction, and
+   * one more than its parent for a savepoint), and wrap its commit and
+   * rollback functions to keep track of its state.
+   */
+  registerTransaction (txn, parentTxn) {
+    let parentState = transactionStates.get(parentTxn)
+    let state = {
+      depth: parentState ? parentState.depth + 1 : 0,
+      parent: parentTxn,
+      status: 'active',
+      children: new Set()
+    }
+    let { commit, rollback } = txn
+
+    transactionStates.set(txn, state)
+    if (parentState) parentState.children.add(txn)
+
+    txn.commit = value => {
+      try {
+        Util.assertTransactionActive(txn)
+        if (state.children.size) {
+          throw new Error(`Cannot commit transaction (depth ${state.depth}) while a nested transaction is still active`)
+        }
+      }
+      catch (e) {
+        return Promise.reject(e)
+      }
+
+      Util.completeTransaction(txn, 'committed')
+      return commit(value)
+    }
+    txn.rollback = error => {
+      let completed = Util.findCompletedTransaction(txn)
+      Util.completeTransaction(txn, 'rolled back')
+
+      // the connection of a completed transaction may already be back in the pool
+      return (completed ? Promise.resolve() : rollback(error))
+    }
+
+    return txn
+  },
+
+  completeTransaction (txn, status) {
+    let state = transactionStates.get(txn)
+    if (state.status !== 'active') return
+
+    state.status = status
+    let parentState = transactionStates.get(state.parent)
+    if (parentState) parentState.children.delete(txn)
+  },
+
+  /**
+   * Throw an error if the transaction, or any transaction it is nested in, has
+   * already been committed or rolled back.
+   */
+  assertTransactionActive (txn) {
+    let state = transactionStates.get(txn)
+    let completed = Util.findCompletedTransaction(txn)
+    if (!completed) return
+
+    if (completed === state) {
+      throw new Error(`Transaction (depth ${state.depth}) has already been ${state.status}`)
+    }
+    throw new Error(`Transaction (depth ${state.depth}) cannot be used: its parent transaction (depth ${completed.depth}) has already been ${completed.status}`)
+  },
+
+  /**
+   * Return the state of the first transaction, starting at txn and walking up
+   * through its parents, that is no longer active
+   */
+  findCompletedTransaction (txn) {
+    for (let state = transactionStates.get(txn); state; state = transactionStates.get(state.parent)) {
+      if (state.status !== 'active') return state
+    }
+  },
+
 
   /**
    * Apply a primary key constraint to a table
@@ -84,7 +292,13 @@ const Util = {
     if (_.isString(definition)) {
       return
     }
-    return _.map(definition, (value, key) => {
+    // spatial columns are indexed by default; opt out with index: false
+    if (SpatialUtil.isSpatialColumn(definition) && _.isUndefined(definition.index)) {
+      column.index(undefined, Util.getIndexType(definition))
+    }
+    // not _.map(definition), which reads an attribute with a length as an array
+    return _.map(_.keys(definition), key => {
+      let value = definition[key]
       if (key == 'defaultsTo' && definition.autoIncrement && value == 'AUTO_INCREMENT') {
         return
       }
@@ -93,6 +307,15 @@ const Util = {
     })
   },
 
+  /**
+   * The default index method of a column: GiST for spatial columns, GIN for
+   * arrays, and otherwise the postgres default (btree)
+   */
+  getIndexType (definition) {
+    if (SpatialUtil.isSpatialColumn(definition)) return 'gist'
+    if (ArrayUtil.isArrayColumn(definition)) return 'gin'
+  },
+
   /**
    * Apply value constraints to a particular column
    */
@@ -102,7 +325,7 @@ const Util = {
     switch (constraintName) {
 
       case 'index':
-        return column.index(_.get(value, 'indexName'), _.get(value, 'indexType'))
+        return column.index(_.get(value, 'indexName'), _.get(value, 'indexType', Util.getIndexType(definition)))
 
       /**
        * Acceptable forms:
@@ -123,6 +346,14 @@ const Util = {
       case 'notNull':
         return column.notNullable()
 
+      /**
+       * COMMENT ON COLUMN, from comment or else description
+       */
+      case 'comment':
+      case 'description':
+        if (value !== Util.getComment(definition) || (constraintName === 'description' && definition.comment)) return
+        return column.comment(Util.escapeComment(value))
+
       case 'defaultsTo':
         if (_.isArray(value) && definition.type == 'array') {
           return column.defaultTo('{' + value.join(',') + '}')
@@ -131,12 +362,6 @@ const Util = {
           return column.defaultTo(value)
         }
 
-          /*
-           * TODO
-      case 'comment':
-        return table.comment(attr.comment || attr.description)
-        */
-
       case 'primaryKey':
       case 'autoIncrement':
         if (definition.dbType == 'uuid') {
@@ -147,10 +372,28 @@ const Util = {
 
 
 
+  /**
+   * The comment of an attribute or model, from comment or else description
+   */
+  getComment (definition) {
+    let comment = _.get(definition, 'comment') || _.get(definition, 'description')
+    if (_.isString(comment)) return comment
+  },
+
+  /**
+   * knex writes comments between single quotes without escaping them
+   */
+  escapeComment (comment) {
+    return comment.replace(/'/g, "''")
+  },
+
   /**
    * Create a column for Knex from a Waterline attribute definition
+   *
+   * @param enumTypes - { attributeName: type } of the native enum
+   *                    attributes, see EnumUtil.createTypes
    */
-  toKnexColumn (table, _name, attrDefinition, wlModel, schema) {
+  toKnexColumn (table, _name, attrDefinition, wlModel, schema, enumTypes = { }) {
     let attr = _.isObject(attrDefinition) ? attrDefinition : { type: attrDefinition }
     let type = attr.autoIncrement ? 'serial' : attr.type
     let name = attr.columnName || _name
@@ -187,11 +430,23 @@ const Util = {
      *
      * table.enu(col, values)
      * Adds a enum column, (aliased to enu, as enum is a reserved word in javascript).
+     * Native enums are columns of their own enum type instead.
      */
+    if (enumTypes[_name]) {
+      return table.specificType(name, enumTypes[_name])
+    }
     if (_.isArray(attr.enum)) {
       return table.enu(name, attr.enum)
     }
 
+    /**
+     * geometry and geography columns, optionally constrained to a geometry
+     * type and an srid, e.g. dbType: 'geography(Point, 4326)'
+     */
+    if (SpatialUtil.isSpatialColumn(attr)) {
+      return table.specificType(name, SpatialUtil.getColumnType(attr))
+    }
+
     switch (attr.dbType || type.toLowerCase()) {
       /**
        * table.text(name, [textType])
@@ -289,7 +544,7 @@ const Util = {
         return table.timestamp(name, attr.standard)
 
       case 'array':
-        return table.specificType(name, 'text ARRAY')
+        return table.specificType(name, ArrayUtil.getColumnType(attr))
 
       /**
        * table.json(name, [jsonb])
@@ -317,6 +572,54 @@ const Util = {
     }
   },
 
+  /**
+   * Split a schema-qualified table name, e.g. 'billing.invoice'. The schema
+   * is null for an unqualified name.
+   *
+   * @returns { schemaName, tableName }
+   */
+  parseTableName (name) {
+    let index = name.indexOf('.')
+    if (index === -1) return { schemaName: null, tableName: name }
+
+    return { schemaName: name.substring(0, index), tableName: name.substring(index + 1) }
+  },
+
+  /**
+   * The schema of the table of a model: meta.schemaName of the model, or
+   * else schemaName of the connection. null is the current schema, the
+   * first one on the search_path.
+   */
+  getSchemaName (cxn, tableName) {
+    return _.get(cxn.collections, [ tableName, 'meta', 'schemaName' ]) || _.get(cxn.config, 'schemaName') || null
+  },
+
+  /**
+   * Quote the name of a table, or of an index or type in the schema of the
+   * table, e.g. "billing"."invoice"
+   */
+  quoteTable (cxn, tableName, name = tableName) {
+    let schemaName = Util.getSchemaName(cxn, tableName)
+    let quoted = `"${name.replace(/"/g, '""')}"`
+
+    return schemaName ? `"${schemaName.replace(/"/g, '""')}".${quoted}` : quoted
+  },
+
+  /**
+   * Qualify the table of a query generated by waterline-sequel with its
+   * schema. The table keeps its name as an alias, so the columns that
+   * waterline-sequel qualifies with the table name still resolve.
+   * (waterline-sequel's own schemaName option qualifies the columns too,
+   * which postgres rejects once the table is aliased.)
+   */
+  qualifyQuery (cxn, tableName, query) {
+    if (!Util.getSchemaName(cxn, tableName)) return query
+
+    let table = _.escapeRegExp(`"${tableName.replace(/"/g, '""')}"`)
+    let clause = new RegExp(`^((?:SELECT [^]*? FROM |UPDATE |DELETE +(?:${table} +)?FROM ))${table}`)
+    return query.replace(clause, (match, keyword) => `${keyword}${Util.quoteTable(cxn, tableName)}`)
+  },
+
   /**
    * Convert a parameterized waterline query into a knex-compatible query string
    */
@@ -337,42 +640,48 @@ const Util = {
   castValues (values) {
     return _.map(values, value => {
       if (_.isString(value) && value[0] === '[') {
-        let arr = JSON.parse(value)
-        if (_.isArray(arr)) {
-          return arr
+        try {
+          let arr = JSON.parse(value)
+          if (_.isArray(arr)) {
+            return arr
+          }
         }
+        catch (e) { }
       }
 
       return value
     })
   },
 
-  castResultRows (rows, schema) {
+  /**
+   * @param criteria - the criteria of the query, which may set the output
+   *                   format of spatial attributes
+   */
+  castResultRows (rows, schema, criteria) {
     if (_.isPlainObject(rows)) {
-      return Util.castResultValues(rows, schema)
+      return Util.castResultValues(rows, schema, criteria)
     }
     else {
       return _.map(rows, row => {
-        return Util.castResultValues(row, schema)
+        return Util.castResultValues(row, schema, criteria)
       })
     }
   },
 
-  castResultValues (values, schema) {
+  castResultValues (values, schema, criteria) {
     return _.mapValues(values, (value, attr) => {
       let definition = schema.definition[attr]
       if (!definition) return value
 
       if (SpatialUtil.isSpatialColumn(definition)) {
-        try {
-          return JSON.parse(value)
-        }
-        catch (e) {
-          return null
-        }
+        return SpatialUtil.parseGeometry(value, attr, schema.definition, criteria)
+      }
+      if (ArrayUtil.getArrayType(definition)) {
+        return ArrayUtil.castResult(value, definition)
       }
 
-      if (_.isArray(value)) {
+      // the elements of untyped arrays are stored as json text
+      if (_.isArray(value) && ArrayUtil.isArrayColumn(definition)) {
         return _.map(value, (item) => {
           try {
             return JSON.parse(item)
@@ -387,62 +696,87 @@ const Util = {
     })
   },
 
-  sanitize (data, schema, cxn) {
+  /**
+   * Remove unknown and autoIncrement attributes from the data, and convert
+   * spatial values with convertSpatial (by default, into a postgis geometry)
+   */
+  sanitize (data, schema, cxn, convertSpatial = SpatialUtil.fromGeojson) {
     if (_.isArray(data)) {
       return _.map(data, record => {
-        return Util.sanitizeRecord(record, schema, cxn)
+        return Util.sanitizeRecord(record, schema, cxn, convertSpatial)
       })
     }
     else {
-      return Util.sanitizeRecord(data, schema, cxn)
+      return Util.sanitizeRecord(data, schema, cxn, convertSpatial)
     }
   },
 
-  sanitizeRecord (data, schema, cxn) {
-    _.each(data, (value, attr) => {
+  sanitizeRecord (data, schema, cxn, convertSpatial = SpatialUtil.fromGeojson) {
+    // leave data untouched, so that errors can report the values that were passed in
+    let record = _.clone(data)
+
+    _.each(record, (value, attr) => {
       let definition = schema.definition[attr]
 
       // remove unrecognized fields (according to schema) from data
       if (!definition) {
-        delete data[attr]
+        delete record[attr]
         return
       }
 
       // remove any autoIncrement fields from data
       if (!definition || definition.autoIncrement) {
-        delete data[attr]
+        delete record[attr]
       }
       if (SpatialUtil.isSpatialColumn(definition)) {
-        data[attr] = SpatialUtil.fromGeojson(data[attr], definition, cxn)
+        record[attr] = convertSpatial(record[attr], definition, cxn)
+      }
+      if (ArrayUtil.isArrayColumn(definition)) {
+        record[attr] = ArrayUtil.prepareValue(record[attr], definition)
       }
     })
 
-    return data
+    return record
   },
 
   /**
-   * Construct a knex query that joins one or more tables for populate()
+   * Construct a knex query that joins one or more tables for populate().
+   * The table is qualified in the from clause itself: knex would qualify the
+   * joined subqueries with the schema of withSchema too.
    */
-  buildKnexJoinQuery (cxn, tableName, options) {
+  buildKnexJoinQuery (cxn, tableName, options, distance) {
     let schema = cxn.collections[tableName]
     let pk = Adapter.getPrimaryKey(cxn, tableName)
 
     let query = cxn.knex
       .select(`${tableName}.*`)
-      .select(SpatialUtil.buildSpatialSelect(schema.definition, tableName, cxn))
+      .select(SpatialUtil.buildSpatialSelect(schema.definition, tableName, cxn, options))
       .select(cxn.knex.raw(Util.buildSelectAggregationColumns(cxn, options)))
-      .from(tableName)
+      .from(cxn.knex.raw(`${Util.quoteTable(cxn, tableName)} as "${tableName}"`))
       .where(Util.buildWhereClause(cxn, tableName, options))
       .groupBy(`${tableName}.${pk}`)
-      .orderByRaw(Util.buildOrderByClause(tableName, options))
+      .orderByRaw(Util.buildOrderByClause(tableName, schema.definition, options, distance))
       .limit(options.limit || Util.PG_MAX_INT)
       .offset(options.skip || 0)
 
+    if (distance) {
+      query.select(distance.select)
+    }
     Util.buildKnexJoins(cxn, options, query)
 
     return query
   },
 
+  /**
+   * Add columns to the RETURNING clause of a query generated by
+   * waterline-sequel
+   */
+  addReturningColumns (columns, query) {
+    if (_.isEmpty(columns)) return query
+
+    return `${query}, ${columns.join(', ')}`
+  },
+
   addSelectColumns (columns, query) {
     let [ oldSelectClause, fromClause ] = query.split('FROM')
     let newSelectClause = [ oldSelectClause.split(','), ...columns ].join(',')
@@ -450,6 +784,49 @@ const Util = {
     return `${newSelectClause} FROM ${fromClause}`
   },
 
+  /**
+   * Add conditions (with ? placeholders) to the where clause of a query
+   * generated by waterline-sequel. Their bindings are placed before the
+   * values of the query, except in an UPDATE, where the values of the SET
+   * clause come first.
+   *
+   * @param conditions - [ { sql, bindings } ]
+   */
+  addWhereConditions (conditions, tableName, query, values) {
+    if (_.isEmpty(conditions)) return { query, values }
+
+    let condition = _.map(conditions, 'sql').join(' AND ')
+    let bindings = _.flatMap(conditions, 'bindings')
+    let table = _.escapeRegExp(`"${tableName}"`)
+    let schema = '(?:"(?:[^"]|"")+"\\.)?'
+
+    if (_.startsWith(query, 'UPDATE ')) {
+      let keyword = _.includes(query, ' WHERE ') ? 'AND' : 'WHERE'
+      query = query.replace(' RETURNING ', returning => ` ${keyword} ${condition}${returning}`)
+      return { query, values: [ ...values, ...bindings ] }
+    }
+    if (_.includes(query, ' WHERE ')) {
+      query = query.replace(' WHERE ', where => `${where}${condition} AND `)
+    }
+    else {
+      query = query.replace(new RegExp(`FROM ${schema}${table}( AS ${table})? `), from => `${from}WHERE ${condition} `)
+    }
+
+    return { query, values: [ ...bindings, ...values ] }
+  },
+
+  /**
+   * Add an ORDER BY clause to a query generated by waterline-sequel from
+   * criteria without a sort
+   */
+  addOrderByClause (orderBy, query) {
+    let limitIndex = query.indexOf(' LIMIT ')
+    if (limitIndex === -1) {
+      return `${query} ORDER BY ${orderBy}`
+    }
+    return `${query.substring(0, limitIndex)} ORDER BY ${orderBy}${query.substring(limitIndex)}`
+  },
+
   buildKnexJoins (cxn, { joins }, query) {
     _.each(joins, join => {
       let parentAlias = Util.getParentAlias(join)
@@ -469,30 +846,65 @@ const Util = {
 
     return cxn.knex
       .select('*')
-      .select(SpatialUtil.buildSpatialSelect(schema.definition, child, cxn))
+      .select(SpatialUtil.buildSpatialSelect(schema.definition, child, cxn, criteria))
       .from(child)
+      .withSchema(Util.getSchemaName(cxn, child))
       .where(Util.buildWhereClause(cxn, child, criteria))
   },
 
-  buildOrderByClause (tableName, { sort }) {
+  /**
+   * Remove the criteria that waterline-sequel does not know about (the
+   * spatial, jsonb and array modifiers, and json paths) from the where
+   * clause, and build them into sql conditions (with ? placeholders) instead.
+   * An empty where clause is no where clause; waterline-sequel would leave a
+   * dangling WHERE.
+   *
+   * @returns { criteria, conditions: [ { sql, bindings } ] }
+   */
+  extractCriteria (tableName, tableDefinition, options) {
+    if (_.isPlainObject(_.get(options, 'where')) && _.isEmpty(options.where)) {
+      options = _.assign({ }, options, { where: null })
+    }
+    let spatial = SpatialUtil.extractSpatialCriteria(tableName, tableDefinition, options)
+    let json = JsonUtil.extractJsonCriteria(tableName, tableDefinition, spatial.criteria)
+    let array = ArrayUtil.extractArrayCriteria(tableName, tableDefinition, json.criteria)
+
+    return {
+      criteria: array.criteria,
+      conditions: [ ...spatial.conditions, ...json.conditions, ...array.conditions ]
+    }
+  },
+
+  /**
+   * @param distance - the computed distance field, if one was requested
+   *                   (see SpatialUtil.buildDistance)
+   */
+  buildOrderByClause (tableName, tableDefinition, { sort }, distance) {
     if (_.isEmpty(sort)) {
       return '1'
     }
 
     let queryTokens = _.map(sort, (_direction, field) => {
       let direction = _direction === 1 ? '' : 'desc'
-      return `"${tableName}"."${field}" ${direction}`
+      if (distance && field === 'distance') {
+        return SpatialUtil.buildDistanceOrderBy(distance, direction)
+      }
+      return JsonUtil.buildPathOrderBy(tableName, tableDefinition, field, direction) || `"${tableName}"."${field}" ${direction}`
     })
     return queryTokens.join(', ')
   },
 
   buildWhereClause (cxn, tableName, options) {
+    let schema = cxn.collections[tableName]
+    let { criteria, conditions } = Util.extractCriteria(tableName, schema.definition, options)
     let parser = new CriteriaParser(tableName, cxn.schema, Adapter.wlSqlOptions)
-    let { query, values } = parser.read(_.omit(options, [
-      'sort', 'limit', 'groupBy', 'skip'
+    let { query, values } = parser.read(_.omit(criteria, [
+      'sort', 'limit', 'groupBy', 'skip', ...SpatialUtil.outputOptions
     ]))
+    let clauses = _.compact([ Util.toKnexRawQuery(query), ..._.map(conditions, 'sql') ])
+    let bindings = [ ...Util.castValues(values), ..._.flatMap(conditions, 'bindings') ]
 
-    return cxn.knex.raw(Util.toKnexRawQuery(query), Util.castValues(values))
+    return cxn.knex.raw(clauses.join(' AND '), bindings)
   },
 
   getJoinAlias ({ alias, parentKey, removeParentKey }) {
@@ -523,7 +935,7 @@ const Util = {
       let criteria = join.criteria || { }
       let subqueryAlias = Util.getSubqueryAlias(join)
       let asColumn = Util.getJoinAlias(join)
-      let orderBy = Util.buildOrderByClause(subqueryAlias, criteria)
+      let orderBy = Util.buildOrderByClause(subqueryAlias, cxn.collections[join.child].definition, criteria)
       let start = (criteria.skip || 0) + 1
       let end = (criteria.limit || (Util.PG_MAX_INT - start)) + start - 1
 
@@ -2,9 +2,14 @@
 
 const _ = require('lodash')
 const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const stream = require('stream')
 const Waterline = require('waterline')
 const models = require('./models')
 const Adapter = require('../../../dist/adapter')
+const AdapterError = require('../../../dist/error')
+const Util = require('../../../dist/util')
 
 describe('pg edge cases', () => {
   const wlconfig = {
@@ -18,6 +23,15 @@ describe('pg edge cases', () => {
         connection: {
         }
       }
+    },
+    defaults: {
+      validations: {
+        ignoreProperties: [
+          'dbType', 'length', 'precision', 'scale', 'standard', 'arrayType', 'nativeEnum',
+          'renamedFrom', 'comment', 'description', 'onDelete', 'onUpdate', 'deferrable',
+          'geometryFormat', 'geometryPrecision'
+        ]
+      }
     }
   }
   let waterline, orm
@@ -25,7 +39,16 @@ describe('pg edge cases', () => {
   before(done => {
     waterline = new Waterline();
     waterline.loadCollection(models.ArrayModel)
+    waterline.loadCollection(models.TypedArrayModel)
     waterline.loadCollection(models.JsonModel)
+    waterline.loadCollection(models.EnumModel)
+    waterline.loadCollection(models.AlterModel)
+    waterline.loadCollection(models.CommentModel)
+    waterline.loadCollection(models.OwnerModel)
+    waterline.loadCollection(models.PetModel)
+    waterline.loadCollection(models.LedgerModel)
+    waterline.loadCollection(models.EntryModel)
+    waterline.loadCollection(models.UniqueModel)
     waterline.initialize(wlconfig, (err, _orm) => {
       if (err) return done(err)
 
@@ -71,9 +94,101 @@ describe('pg edge cases', () => {
         done()
       })
     })
+    it('should parse array of objects on update', done => {
+      orm.arraymodel.create({ listOfObjects: [{ index: 1 }] })
+        .then(record => {
+          return Adapter.update('edgetests', 'arraymodel', { where: { id: record.id } }, {
+            listOfObjects: [{ index: 1 }, { index: 2 }]
+          })
+        })
+        .then(([ record ]) => {
+          assert.equal(record.listOfObjects.length, 2)
+          assert.equal(typeof record.listOfObjects[0], 'object')
+          done()
+        })
+        .catch(done)
+    })
 
   })
 
+  describe('typed arrays', () => {
+    const uuid = '1b9d6bcd-bbfd-4b2d-9b5d-ab8dfbbd4bed'
+    const date = new Date('2016-03-01T12:00:00.000Z')
+    const names = records => _.sortBy(_.map(records, record => record.tags[0]))
+
+    before(() => {
+      return orm.typedarraymodel.createEach([
+        { tags: [ 'a', 'sale' ], scores: [ 1, 2, 3 ], refs: [ uuid ], documents: [ { n: 1 }, 'text' ], dates: [ date ] },
+        { tags: [ 'b', 'new', 'sale' ], scores: [ 3, 4 ] },
+        { tags: [ 'c', '[not json]', '123' ], scores: [ ] }
+      ])
+    })
+
+    it('should read the elements in their own types', () => {
+      return Adapter.find('edgetests', 'typedarraymodel', { where: { tags: { contains: 'a' } } })
+        .then(([ record ]) => {
+          assert.deepEqual(record.scores, [ 1, 2, 3 ])
+          assert.deepEqual(record.refs, [ uuid ])
+          assert.deepEqual(record.documents, [ { n: 1 }, 'text' ])
+          assert.equal(record.dates[0].getTime(), date.getTime())
+        })
+    })
+    it('should read the elements of a jsonb array that comes back as text', () => {
+      let schema = Adapter.connections.get('edgetests').collections.typedarraymodel
+      let sql = `select documents::text as documents from typedarraymodel where 'a' = any(tags)`
+      return Adapter.query('edgetests', 'typedarraymodel', sql, [ ])
+        .then(({ rows }) => {
+          assert.equal(typeof rows[0].documents, 'string')
+          assert.deepEqual(Util.castResultRows(rows, schema)[0].documents, [ { n: 1 }, 'text' ])
+        })
+    })
+    it('should not parse strings that look like json', () => {
+      return Adapter.find('edgetests', 'typedarraymodel', { where: { tags: { contains: 'c' } } })
+        .then(([ record ]) => {
+          assert.deepEqual(record.tags, [ 'c', '[not json]', '123' ])
+          assert.deepEqual(record.scores, [ ])
+        })
+    })
+    it('should filter by contains, containedBy and overlaps', () => {
+      return Promise.all([
+          Adapter.find('edgetests', 'typedarraymodel', { where: { tags: { contains: [ 'new', 'sale' ] } } }),
+          Adapter.find('edgetests', 'typedarraymodel', { where: { scores: { containedBy: [ 1, 2, 3, 4 ] } } }),
+          Adapter.find('edgetests', 'typedarraymodel', { where: { scores: { '&&': [ 1, 4 ] } } })
+        ])
+        .then(([ contains, containedBy, overlaps ]) => {
+          assert.deepEqual(names(contains), [ 'b' ])
+          assert.deepEqual(names(containedBy), [ 'a', 'b', 'c' ])
+          assert.deepEqual(names(overlaps), [ 'a', 'b' ])
+        })
+    })
+    it('should filter by an element with any', () => {
+      return Adapter.count('edgetests', 'typedarraymodel', { where: { scores: { any: 3 } } })
+        .then(count => {
+          assert.equal(count, 2)
+        })
+    })
+    it('should update arrays with typed elements', () => {
+      return Adapter.update('edgetests', 'typedarraymodel', { where: { refs: { any: uuid } } }, {
+          scores: [ 7 ],
+          documents: [ [ 1, 2 ], { n: 2 } ],
+          dates: [ date, date ]
+        })
+        .then(([ record ]) => {
+          assert.deepEqual(record.scores, [ 7 ])
+          assert.deepEqual(record.documents, [ [ 1, 2 ], { n: 2 } ])
+          assert.equal(record.dates.length, 2)
+          assert(_.isDate(record.dates[1]))
+        })
+    })
+    it('should create a GIN index on an indexed array', () => {
+      let sql = 'select indexdef from pg_indexes where tablename = ?'
+      return Adapter.query('edgetests', 'typedarraymodel', sql, [ 'typedarraymodel' ])
+        .then(({ rows }) => {
+          assert(_.some(rows, ({ indexdef }) => /using gin \(tags\)/i.test(indexdef)))
+        })
+    })
+  })
+
   describe('jsonb type', () => {
     it('should initialize without error', () => {
       assert(orm.jsonmodel)
@@ -96,4 +211,1531 @@ describe('pg edge cases', () => {
     })
   })
 
+  describe('jsonb criteria', () => {
+    const where = criteria => ({ where: _.assign({ 'jsonb.suite': 'criteria' }, criteria) })
+    const names = records => _.map(records, 'jsonb.name')
+
+    before(() => {
+      return Adapter.createEach('edgetests', 'jsonmodel', [
+        { jsonb: { suite: 'criteria', name: 'a', theme: 'dark', size: 12, tags: [ 'new', 'sale' ] } },
+        { jsonb: { suite: 'criteria', name: 'b', theme: 'light', size: 9, tags: [ 'sale' ] } },
+        { jsonb: { suite: 'criteria', name: 'c', theme: '[dark]', size: 20, owner: { name: 'ann' } } }
+      ])
+    })
+
+    it('should find records by containment', done => {
+      Adapter.find('edgetests', 'jsonmodel', where({ jsonb: { contains: { tags: [ 'new' ] } } }))
+        .then(records => {
+          assert.deepEqual(names(records), [ 'a' ])
+          return Adapter.find('edgetests', 'jsonmodel', _.assign(where({ 'jsonb.tags': { contains: [ 'sale' ] } }), {
+            sort: { 'jsonb.name': 1 }
+          }))
+        })
+        .then(records => {
+          assert.deepEqual(names(records), [ 'a', 'b' ])
+          done()
+        })
+        .catch(done)
+    })
+
+    it('should find records by key existence', done => {
+      Adapter.find('edgetests', 'jsonmodel', where({ jsonb: { has: 'owner' } }))
+        .then(records => {
+          assert.deepEqual(names(records), [ 'c' ])
+          return Adapter.count('edgetests', 'jsonmodel', where({ jsonb: { hasAny: [ 'owner', 'tags' ] } }))
+        })
+        .then(count => {
+          assert.equal(count, 3)
+          return Adapter.count('edgetests', 'jsonmodel', where({ jsonb: { hasAll: [ 'owner', 'tags' ] } }))
+        })
+        .then(count => {
+          assert.equal(count, 0)
+          done()
+        })
+        .catch(done)
+    })
+
+    it('should query key existence with the operators, which a GIN index can use', done => {
+      let knex = Adapter.knex('edgetests')
+      let queries = [ ]
+      let record = ({ sql }) => queries.push(sql)
+      knex.on('query', record)
+
+      Adapter.count('edgetests', 'jsonmodel', where({ jsonb: { has: 'owner', hasAny: [ 'owner' ], hasAll: [ 'owner' ] } }))
+        .then(count => {
+          knex.removeListener('query', record)
+          assert.equal(count, 1)
+          let sql = _.find(queries, sql => _.includes(sql, 'COUNT'))
+          assert(_.includes(sql, '"jsonb" \\? ?'), sql)
+          assert(_.includes(sql, '"jsonb" \\?| ?'), sql)
+          assert(_.includes(sql, '"jsonb" \\?& ?'), sql)
+          assert(!_.includes(sql, 'jsonb_exists'), sql)
+          done()
+        })
+        .catch(error => {
+          knex.removeListener('query', record)
+          done(error)
+        })
+    })
+
+    it('should compare json paths, casting to the type of the value', done => {
+      Adapter.find('edgetests', 'jsonmodel', where({ 'jsonb.size': { '>': 10 }, 'jsonb.theme': [ 'dark', '[dark]' ] }))
+        .then(records => {
+          assert.deepEqual(_.sortBy(names(records)), [ 'a', 'c' ])
+          return Adapter.find('edgetests', 'jsonmodel', where({ 'jsonb.owner.name': 'ann', 'jsonb.theme': '[dark]' }))
+        })
+        .then(records => {
+          assert.deepEqual(names(records), [ 'c' ])
+          done()
+        })
+        .catch(done)
+    })
+
+    it('should sort by a json path', done => {
+      let criteria = _.assign(where(), { sort: { 'jsonb.size': -1 } })
+
+      Adapter.find('edgetests', 'jsonmodel', criteria, (err, records) => {
+        assert.ifError(err)
+        assert.deepEqual(names(records), [ 'c', 'a', 'b' ])
+        done()
+      })
+    })
+
+    it('should update and destroy records with jsonb criteria', done => {
+      Adapter.update('edgetests', 'jsonmodel', where({ 'jsonb.theme': 'light' }), { json: { updated: true } })
+        .then(records => {
+          assert.deepEqual(names(records), [ 'b' ])
+          assert.equal(records[0].json.updated, true)
+          return Adapter.destroy('edgetests', 'jsonmodel', where({ jsonb: { contains: { theme: 'light' } } }))
+        })
+        .then(records => {
+          assert.deepEqual(names(records), [ 'b' ])
+          done()
+        })
+        .catch(done)
+    })
+  })
+
+  describe('errors', () => {
+    it('should name the attribute of a unique constraint violation', done => {
+      orm.uniquemodel.create({ emailAddress: 'unique@example.com' })
+        .then(() => orm.uniquemodel.create({ emailAddress: 'unique@example.com' }))
+        .then(() => done(new Error('expected create to fail')))
+        .catch(err => {
+          assert.equal(err.code, 'E_VALIDATION')
+          assert(err.invalidAttributes.emailAddress)
+          assert.equal(err.invalidAttributes.emailAddress[0].rule, 'unique')
+          done()
+        })
+    })
+
+    it('should name the attribute of an invalid value', done => {
+      Adapter.create('edgetests', 'uniquemodel', { age: 'abc' }, err => {
+        assert.equal(err.code, 'E_INVALIDTYPE')
+        assert.equal(err.invalidAttributes.age[0].value, 'abc')
+        done()
+      })
+    })
+
+    it('should name only the whole columns in a constraint name', () => {
+      let error = AdapterError.map({
+        code: '23514',
+        table: 'invoice',
+        constraint: 'invoice_owner_id_check',
+        message: 'new row for relation "invoice" violates check constraint "invoice_owner_id_check"'
+      }, {
+        tableName: 'invoice',
+        payload: { id: 1, owner_id: 2 },
+        collection: { definition: { id: { type: 'integer' }, owner_id: { type: 'integer' } } }
+      })
+      assert.deepEqual(error.invalidAttributes, { owner_id: [ { rule: 'check', value: 2 } ] })
+    })
+  })
+
+  describe('native enums', () => {
+    const migrateWith = (migrate, values) => {
+      let schema = Adapter.connections.get('edgetests').collections.enummodel
+      let definition = _.cloneDeep(schema.definition)
+      let previous = schema.migrate
+      definition.mood.enum = values
+
+      schema.migrate = migrate
+      return Adapter.drop('edgetests', 'enummodel')
+        .then(() => Adapter.define('edgetests', 'enummodel', definition))
+        .then(() => { schema.migrate = previous })
+        .catch(err => {
+          schema.migrate = previous
+          throw err
+        })
+    }
+
+    it('should create an enum type named after the model and attribute', () => {
+      return Adapter.describe('edgetests', 'enummodel')
+        .then(columns => {
+          assert.equal(columns.mood.enumType, 'enummodel_mood_enum')
+          assert.deepEqual(columns.mood.enum, [ 'sad', 'ok', 'happy' ])
+        })
+    })
+    it('should reject values outside of the enum', done => {
+      Adapter.create('edgetests', 'enummodel', { mood: 'angry' }, err => {
+        assert.equal(err.code, 'E_INVALIDTYPE')
+        done()
+      })
+    })
+    it('should not add values to an existing type unless migrating with alter', () => {
+      return migrateWith('safe', [ 'sad', 'ok', 'happy', 'ecstatic' ])
+        .then(() => { throw new Error('expected define to fail') })
+        .catch(err => {
+          assert(/missing the values ecstatic/.test(err.message))
+        })
+    })
+    it('should add values to an existing type when migrating with alter', () => {
+      return migrateWith('alter', [ 'miserable', 'sad', 'ok', 'meh', 'happy', 'ecstatic' ])
+        .then(() => Adapter.describe('edgetests', 'enummodel'))
+        .then(columns => {
+          assert.deepEqual(columns.mood.enum, [ 'miserable', 'sad', 'ok', 'meh', 'happy', 'ecstatic' ])
+
+          return Adapter.create('edgetests', 'enummodel', { mood: 'meh' })
+        })
+        .then(record => {
+          assert.equal(record.mood, 'meh')
+
+          return Adapter.drop('edgetests', 'enummodel')
+        })
+        .then(() => Adapter.query('edgetests', 'enummodel', 'drop type enummodel_mood_enum', [ ]))
+    })
+  })
+
+  describe('alter', () => {
+    const drift = sql => Adapter.query('edgetests', 'altermodel', sql, [ ])
+
+    it('should change types, defaults and uniqueness to match the model', () => {
+      return drift(`
+          alter table altermodel
+            alter column age type smallint,
+            alter column name set default 'x',
+            alter column name set not null,
+            drop constraint altermodel_code_unique,
+            add constraint altermodel_age_unique unique (age)
+        `)
+        .then(() => Adapter.alter('edgetests', 'altermodel'))
+        .then(steps => {
+          assert(_.every(steps, step => !step.destructive))
+          return Adapter.describe('edgetests', 'altermodel')
+        })
+        .then(columns => {
+          assert.equal(columns.age.dbType, 'integer')
+          assert.equal(columns.name.defaultValue, null)
+          assert(columns.name.nullable)
+          assert(columns.code.unique)
+          assert(!columns.age.unique)
+        })
+    })
+    it('should do nothing when the table matches the model', () => {
+      return Adapter.alter('edgetests', 'altermodel')
+        .then(steps => {
+          assert.deepEqual(steps, [ ])
+        })
+    })
+    it('should change the CHECK constraint of an enum attribute to match its values', () => {
+      let definition = Adapter.connections.get('edgetests').collections.altermodel.definition
+      let alterTo = values => {
+        definition.status.enum = values
+        return Adapter.alter('edgetests', 'altermodel')
+      }
+
+      return alterTo([ 'draft', 'sent', 'paid' ])
+        .then(steps => {
+          assert.deepEqual(_.map(steps, 'sql'), [
+            'alter table "altermodel" drop constraint "altermodel_status_check"',
+            `alter table "altermodel" add constraint "altermodel_status_check" check ("status" in ('draft', 'sent', 'paid'))`
+          ])
+          return Adapter.create('edgetests', 'altermodel', { status: 'paid' })
+        })
+        .then(() => Adapter.destroy('edgetests', 'altermodel', { where: { status: 'paid' } }))
+        .then(() => alterTo([ 'draft', 'sent' ]))
+        .then(steps => {
+          assert.equal(steps.length, 2)
+          return Adapter.alter('edgetests', 'altermodel')
+        })
+        .then(steps => {
+          assert.deepEqual(steps, [ ])
+        }, err => {
+          definition.status.enum = [ 'draft', 'sent' ]
+          throw err
+        })
+    })
+    it('should refuse destructive steps unless they are allowed', () => {
+      return drift('alter table altermodel add column obsolete text, alter column code type varchar(20)')
+        .then(() => Adapter.alter('edgetests', 'altermodel'))
+        .then(() => { throw new Error('expected alter to fail') })
+        .catch(err => {
+          assert(/Refusing to alter altermodel/.test(err.message))
+          assert(/drop column "obsolete"/.test(err.message))
+
+          return Adapter.alter('edgetests', 'altermodel', { allowDestructive: true })
+        })
+        .then(() => Adapter.describe('edgetests', 'altermodel'))
+        .then(columns => {
+          assert(!columns.obsolete)
+          assert.equal(columns.code.dbType, 'character varying(10)')
+        })
+    })
+    it('should rename the columns of attributes with renamedFrom', () => {
+      return drift('alter table altermodel rename column nickname to nick')
+        .then(() => drift(`insert into altermodel (nick) values ('renamed')`))
+        .then(() => Adapter.alter('edgetests', 'altermodel'))
+        .then(() => Adapter.find('edgetests', 'altermodel', { where: { nickname: 'renamed' } }))
+        .then(records => {
+          assert.equal(records.length, 1)
+        })
+    })
+    it('should plan the steps without running them', () => {
+      return drift('alter table altermodel add column obsolete text')
+        .then(() => Adapter.plan('edgetests', { date: new Date('2016-03-01T12:00:00Z') }))
+        .then(plan => {
+          let steps = _.filter(plan.steps, { table: 'altermodel' })
+          assert.deepEqual(_.map(steps, 'sql'), [ 'alter table "altermodel" drop column "obsolete"' ])
+          assert.equal(steps[0].down, 'alter table "altermodel" add column "obsolete" text')
+          assert(steps[0].destructive)
+          assert.equal(plan.filename, '20160301120000_edgetests.sql')
+          assert(/-- migrate:up\n[^]*drop column "obsolete";\n[^]*-- migrate:down\n/.test(plan.sql))
+
+          return Adapter.describe('edgetests', 'altermodel')
+        })
+        .then(columns => {
+          assert(columns.obsolete)
+        })
+    })
+    it('should write the plan into a directory', () => {
+      return Adapter.plan('edgetests', { directory: os.tmpdir() })
+        .then(plan => {
+          assert.equal(fs.readFileSync(plan.path, 'utf8'), plan.sql)
+          fs.unlinkSync(plan.path)
+        })
+    })
+    it('should skip and report destructive steps when defining a drifted table', () => {
+      let cxn = Adapter.connections.get('edgetests')
+      let errors = [ ]
+      cxn.config.onError = error => errors.push(error)
+
+      return drift(`alter table altermodel alter column name set default 'x'`)
+        .then(() => Adapter.define('edgetests', 'altermodel', cxn.collections.altermodel.definition))
+        .then(() => {
+          cxn.config.onError = null
+          assert.deepEqual(_.map(errors, 'code'), [ 'E_DESTRUCTIVE' ])
+          assert.deepEqual(_.map(errors[0].steps, 'sql'), [ 'alter table "altermodel" drop column "obsolete"' ])
+
+          return Adapter.describe('edgetests', 'altermodel')
+        }, error => {
+          cxn.config.onError = null
+          throw error
+        })
+        .then(columns => {
+          assert.equal(columns.name.defaultValue, null)
+          assert(columns.obsolete)
+
+          return Adapter.alter('edgetests', 'altermodel', { allowDestructive: true })
+        })
+    })
+  })
+
+  describe('comments', () => {
+    const drift = sql => Adapter.query('edgetests', 'commentmodel', sql, [ ])
+
+    it('should comment on the table and columns of a model', () => {
+      return Adapter.describeTable('edgetests', 'commentmodel')
+        .then(({ comment, columns }) => {
+          assert.equal(comment, 'Things that are commented on')
+          assert.equal(columns.name.comment, 'The display name')
+          assert.equal(columns.code.comment, "The code, e.g. 'A1'")
+          assert.equal(columns.id.comment, null)
+        })
+    })
+    it('should bring comments back in line with the model under alter', () => {
+      return drift(`comment on column commentmodel.name is 'Stale'; comment on table commentmodel is null`)
+        .then(() => Adapter.alter('edgetests', 'commentmodel'))
+        .then(steps => {
+          assert.deepEqual(_.map(steps, 'sql'), [
+            `comment on column "commentmodel"."name" is 'The display name'`,
+            `comment on table "commentmodel" is 'Things that are commented on'`
+          ])
+          assert.equal(steps[0].down, `comment on column "commentmodel"."name" is 'Stale'`)
+          assert.equal(steps[1].down, 'comment on table "commentmodel" is null')
+
+          return Adapter.describeTable('edgetests', 'commentmodel')
+        })
+        .then(({ comment, columns }) => {
+          assert.equal(comment, 'Things that are commented on')
+          assert.equal(columns.name.comment, 'The display name')
+        })
+    })
+    it('should comment on added attributes', () => {
+      return Adapter.addAttribute('edgetests', 'commentmodel', 'note', { type: 'text', description: 'A note' })
+        .then(() => Adapter.describe('edgetests', 'commentmodel'))
+        .then(columns => {
+          assert.equal(columns.note.comment, 'A note')
+
+          return drift('alter table commentmodel drop column note')
+        })
+    })
+  })
+
+  describe('foreign keys', () => {
+    it('should constrain the associations that opt in', () => {
+      return Adapter.describeTable('edgetests', 'pet')
+        .then(({ columns }) => {
+          assert.deepEqual(_.pick(columns.owner.foreignKey, 'constraintName', 'referencedTable', 'referencedColumns', 'onDelete', 'deferrable'), {
+            constraintName: 'pet_owner_foreign',
+            referencedTable: 'owner',
+            referencedColumns: [ 'id' ],
+            onDelete: 'cascade',
+            deferrable: false
+          })
+          assert.equal(columns.sitter.foreignKey.onDelete, 'set null')
+          assert(columns.sitter.foreignKey.deferrable)
+          assert(columns.sitter.foreignKey.initiallyDeferred)
+          assert(!columns.name.foreignKey)
+        })
+    })
+    it('should constrain associations that reference each other', () => {
+      return Adapter.describeTable('edgetests', 'owner')
+        .then(({ columns }) => {
+          assert.equal(columns.favorite.foreignKey.referencedTable, 'pet')
+        })
+    })
+    it('should reject records that reference missing records', done => {
+      Adapter.create('edgetests', 'pet', { name: 'stray', owner: 999999 }, err => {
+        assert(err)
+        done()
+      })
+    })
+    it('should apply onDelete', () => {
+      let owner
+      return Adapter.create('edgetests', 'owner', { name: 'alice' })
+        .then(record => {
+          owner = record
+          return Adapter.create('edgetests', 'pet', { name: 'rex', owner: owner.id, sitter: owner.id })
+        })
+        .then(() => Adapter.destroy('edgetests', 'owner', { where: { id: owner.id } }))
+        .then(() => Adapter.find('edgetests', 'pet', { where: { name: 'rex' } }))
+        .then(pets => {
+          assert.equal(pets.length, 0)
+        })
+    })
+    it('should add missing foreign keys under alter', () => {
+      return Adapter.query('edgetests', 'pet', 'alter table pet drop constraint pet_owner_foreign', [ ])
+        .then(() => Adapter.alter('edgetests', 'pet'))
+        .then(steps => {
+          assert.deepEqual(_.map(steps, 'sql'), [
+            'alter table "pet" add constraint "pet_owner_foreign" foreign key ("owner") references "owner" ("id") ' +
+              'on delete cascade on update no action'
+          ])
+          assert.equal(steps[0].down, 'alter table "pet" drop constraint "pet_owner_foreign"')
+        })
+    })
+    it('should drop the foreign keys that reference a dropped table, and nothing else', () => {
+      let run = sql => Adapter.query('edgetests', null, sql, [ ])
+      let owner = Adapter.connections.get('edgetests').collections.owner
+
+      return run('create view owner_names as select name from owner')
+        .then(() => Adapter.drop('edgetests', 'owner'))
+        .then(() => { throw new Error('expected drop to fail') }, err => {
+          assert(/other objects depend on it/.test(err.message))
+          return Adapter.describeTable('edgetests', 'pet')
+        })
+        .then(({ columns }) => {
+          assert(columns.owner.foreignKey)
+
+          return run('drop view owner_names')
+        })
+        .then(() => Adapter.drop('edgetests', 'owner'))
+        .then(() => Adapter.describeTable('edgetests', 'pet'))
+        .then(({ columns }) => {
+          assert(!columns.owner.foreignKey)
+
+          return Adapter.define('edgetests', 'owner', owner.definition)
+        })
+        .then(() => Adapter.describeTable('edgetests', 'pet'))
+        .then(({ columns }) => {
+          assert.equal(columns.owner.foreignKey.referencedTable, 'owner')
+        })
+    })
+  })
+
+  describe('describe', () => {
+    const run = sql => Adapter.query('edgetests', null, sql, [ ])
+
+    before(() => {
+      return run(`
+        create schema describetests;
+        create table describetests.account (id serial primary key, name text);
+        create table describetests.invoice (
+          id serial primary key,
+          account_id integer references describetests.account (id) on delete cascade,
+          number text,
+          year integer check (year > 2000),
+          status text,
+          unique (number, year)
+        );
+        create index invoice_open_index on describetests.invoice (status) where status <> 'paid';
+        create index invoice_lower_number_index on describetests.invoice (lower(number));
+        comment on table describetests.invoice is 'Invoices sent to accounts';
+        comment on column describetests.invoice.number is 'The number printed on the invoice';
+      `)
+    })
+    after(() => run('drop schema describetests cascade'))
+
+    it('should describe a table in a schema', () => {
+      return Adapter.describeTable('edgetests', 'describetests.invoice')
+        .then(table => {
+          assert.equal(table.schemaName, 'describetests')
+          assert.equal(table.tableName, 'invoice')
+          assert.equal(table.comment, 'Invoices sent to accounts')
+          assert.equal(table.columns.number.comment, 'The number printed on the invoice')
+          assert.equal(table.columns.year.dbType, 'integer')
+        })
+    })
+    it('should describe foreign keys and check constraints', () => {
+      return Adapter.describeTable('edgetests', 'describetests.invoice')
+        .then(({ columns, foreignKeys, checks }) => {
+          assert.equal(foreignKeys.length, 1)
+          assert.deepEqual(_.pick(columns.account_id.foreignKey, 'columns', 'referencedSchema', 'referencedTable', 'referencedColumns', 'onDelete', 'onUpdate'), {
+            columns: [ 'account_id' ],
+            referencedSchema: 'describetests',
+            referencedTable: 'account',
+            referencedColumns: [ 'id' ],
+            onDelete: 'cascade',
+            onUpdate: 'no action'
+          })
+          assert.equal(checks.length, 1)
+          assert.deepEqual(columns.year.checks, [ 'CHECK ((year > 2000))' ])
+        })
+    })
+    it('should tell composite unique constraints from unique columns', () => {
+      return Adapter.describeTable('edgetests', 'describetests.invoice')
+        .then(({ columns, indexes }) => {
+          let composite = _.find(indexes, { columns: [ 'number', 'year' ] })
+          assert(composite.unique)
+          assert(!columns.number.unique)
+          assert(!columns.year.unique)
+          assert(columns.number.indexed)
+          assert(columns.id.primaryKey)
+          assert(columns.id.unique)
+        })
+    })
+    it('should describe partial and expression indexes', () => {
+      return Adapter.describeTable('edgetests', 'describetests.invoice')
+        .then(({ indexes }) => {
+          let partial = _.find(indexes, { indexName: 'invoice_open_index' })
+          let expression = _.find(indexes, { indexName: 'invoice_lower_number_index' })
+
+          assert.equal(partial.method, 'btree')
+          assert.deepEqual(partial.columns, [ 'status' ])
+          assert.equal(partial.predicate, "(status <> 'paid'::text)")
+          assert.deepEqual(expression.columns, [ ])
+          assert.equal(expression.expression, 'lower(number)')
+          assert(/^CREATE INDEX invoice_lower_number_index ON describetests.invoice/.test(expression.definition))
+        })
+    })
+    it('should describe the columns of a schema-qualified table', () => {
+      return Adapter.describe('edgetests', 'describetests.account')
+        .then(columns => {
+          assert.deepEqual(_.keys(columns).sort(), [ 'id', 'name' ])
+        })
+    })
+    it('should not describe a table that does not exist', () => {
+      return Adapter.describeTable('edgetests', 'describetests.missing')
+        .then(table => {
+          assert.equal(table, undefined)
+        })
+    })
+  })
+
+  describe('schemas', () => {
+    const run = sql => Adapter.query('edgetests', null, sql, [ ])
+
+    it('should define the tables of a model in its schema', () => {
+      return run(`
+        select table_schema, table_name from information_schema.tables
+        where table_name in ('ledger', 'entry') order by table_name
+      `)
+      .then(({ rows }) => {
+        assert.deepEqual(rows, [
+          { table_schema: 'accounting', table_name: 'entry' },
+          { table_schema: 'accounting', table_name: 'ledger' }
+        ])
+        return run(`select typnamespace::regnamespace::text as schema from pg_type where typname = 'entry_kind_enum'`)
+      })
+      .then(({ rows }) => {
+        assert.deepEqual(rows, [ { schema: 'accounting' } ])
+      })
+    })
+    it('should create, find, count, update and destroy records in the schema', () => {
+      return orm.ledger.create({ name: 'cash' })
+        .then(ledger => orm.entry.createEach([
+          { amount: 10, kind: 'debit', ledger: ledger.id },
+          { amount: 20, kind: 'credit', ledger: ledger.id }
+        ]))
+        .then(() => orm.entry.find({ where: { kind: 'credit' } }))
+        .then(entries => {
+          assert.deepEqual(_.map(entries, 'amount'), [ 20 ])
+          return orm.entry.update({ kind: 'credit' }, { amount: 30 })
+        })
+        .then(() => orm.entry.count({ amount: { '>': 15 } }))
+        .then(count => {
+          assert.equal(count, 1)
+          return orm.entry.destroy({ amount: 30 })
+        })
+        .then(() => run('select amount from accounting.entry'))
+        .then(({ rows }) => {
+          assert.deepEqual(_.map(rows, 'amount'), [ 10 ])
+        })
+    })
+    it('should populate associations in the schema', () => {
+      return orm.ledger.findOne({ name: 'cash' }).populate('entries')
+        .then(ledger => {
+          assert.deepEqual(_.map(ledger.entries, 'amount'), [ 10 ])
+        })
+    })
+    it('should describe the tables of a model in its schema', () => {
+      return Adapter.describeTable('edgetests', 'entry')
+        .then(table => {
+          assert.equal(table.schemaName, 'accounting')
+          assert(table.columns.kind)
+          return Adapter.alter('edgetests', 'entry')
+        })
+        .then(steps => {
+          assert.deepEqual(steps, [ ])
+        })
+    })
+  })
+
+  describe('tenants', () => {
+    const run = sql => Adapter.query('edgetests', null, sql, [ ])
+    let acme, globex
+
+    before(() => {
+      return Adapter.provisionTenant('edgetests', 'acme')
+        .then(identity => {
+          acme = identity
+          return Adapter.provisionTenant('edgetests', 'globex')
+        })
+        .then(identity => { globex = identity })
+    })
+    after(() => run('drop schema tenant_acme cascade; drop schema tenant_globex cascade'))
+
+    it('should define the tables of every model in the schema of a tenant', () => {
+      assert.equal(acme, 'edgetests:acme')
+      return run(`select table_name from information_schema.tables where table_schema = 'tenant_acme'`)
+        .then(({ rows }) => {
+          let tableNames = _.map(rows, 'table_name')
+          assert(_.includes(tableNames, 'uniquemodel'))
+          assert(_.includes(tableNames, 'jsonmodel'))
+          // models with a schema of their own are shared
+          assert(!_.includes(tableNames, 'ledger'))
+        })
+    })
+    it('should list the tenants', () => {
+      return Adapter.tenants('edgetests')
+        .then(tenants => {
+          assert.deepEqual(tenants, [ 'acme', 'globex' ])
+        })
+    })
+    it('should run queries against the schema of a tenant', () => {
+      return Adapter.create(acme, 'uniquemodel', { email: 'wile@acme.test', age: 3 })
+        .then(() => Adapter.find(acme, 'uniquemodel', { where: { email: 'wile@acme.test' } }))
+        .then(records => {
+          assert.equal(records.length, 1)
+          return Adapter.find(globex, 'uniquemodel', { where: { email: 'wile@acme.test' } })
+        })
+        .then(records => {
+          assert.equal(records.length, 0)
+          return Adapter.query(acme, 'uniquemodel', 'select count(*)::int as count from uniquemodel', [ ])
+        })
+        .then(({ rows }) => {
+          assert.equal(rows[0].count, 1)
+          return Adapter.query(globex, 'uniquemodel', 'select count(*)::int as count from uniquemodel', [ ])
+        })
+        .then(({ rows }) => {
+          assert.equal(rows[0].count, 0)
+        })
+    })
+    it('should put back the search_path of the transaction of the caller', () => {
+      let searchPath = txn => {
+        return Adapter.query('edgetests', null, `select current_setting('search_path') as search_path`, [ ], null, txn)
+          .then(({ rows }) => rows[0].search_path)
+      }
+      return Adapter.transaction('edgetests', 'uniquemodel')
+        .then(txn => {
+          let before
+          return searchPath(txn)
+            .then(searchPath => {
+              before = searchPath
+              return Adapter.query(acme, 'uniquemodel', 'select count(*)::int as count from uniquemodel', [ ], null, txn)
+            })
+            .then(({ rows }) => {
+              assert.equal(rows[0].count, 1)
+              return searchPath(txn)
+            })
+            .then(searchPath => {
+              assert.equal(searchPath, before)
+              return txn.rollback()
+            })
+        })
+    })
+    it('should alter the drifted tables of a tenant that is provisioned again', () => {
+      let cxn = Adapter.connections.get(acme)
+      let errors = [ ]
+      cxn.config.onError = error => errors.push(error)
+
+      return run(`alter table tenant_acme.altermodel alter column name set default 'x', add column obsolete integer`)
+        .then(() => Adapter.provisionTenant('edgetests', 'acme'))
+        .then(() => {
+          cxn.config.onError = null
+          assert.deepEqual(_.map(errors, 'code'), [ 'E_DESTRUCTIVE' ])
+          assert.deepEqual(_.map(errors[0].steps, 'sql'), [ 'alter table "tenant_acme"."altermodel" drop column "obsolete"' ])
+
+          return Adapter.describe(acme, 'altermodel')
+        }, error => {
+          cxn.config.onError = null
+          throw error
+        })
+        .then(columns => {
+          assert.equal(columns.name.defaultValue, null)
+          assert(columns.obsolete)
+
+          return run('alter table tenant_acme.altermodel drop column obsolete')
+        })
+    })
+    it('should reject a tenant whose schema name is too long', () => {
+      assert.throws(() => Adapter.tenant('edgetests', _.repeat('a', 60)), /longer than 63 bytes/)
+      assert.equal(Adapter.tenant('edgetests', _.repeat('a', 56)), `edgetests:${_.repeat('a', 56)}`)
+      assert(Adapter.releaseTenant('edgetests', _.repeat('a', 56)))
+    })
+    it('should reject a tenant id that cannot name a schema', () => {
+      assert.throws(() => Adapter.tenant('edgetests', 'a.b'), error => {
+        return error.code === 'E_TENANT' && /Invalid tenant "a.b"/.test(error.message)
+      })
+      assert(!Adapter.connections.has('edgetests:a.b'))
+      return Adapter.provisionTenant('edgetests', 'acme"; drop schema public; --')
+        .then(() => { throw new Error('expected the tenant to be rejected') }, error => {
+          assert.equal(error.code, 'E_TENANT')
+        })
+    })
+    it('should release the connection of a tenant', () => {
+      let initech = Adapter.tenant('edgetests', 'initech')
+      assert(Adapter.connections.has(initech))
+      assert(Adapter.releaseTenant(initech, 'initech'))
+      assert(!Adapter.connections.has(initech))
+      assert(!Adapter.releaseTenant('edgetests', 'initech'))
+    })
+    it('should migrate the tables of every tenant', () => {
+      return run('alter table tenant_acme.uniquemodel drop column age')
+        .then(() => Adapter.migrateTenants('edgetests'))
+        .then(migrated => {
+          assert.deepEqual(_.keys(migrated), [ 'acme', 'globex' ])
+          assert.deepEqual(_.map(_.filter(migrated.acme, { table: 'uniquemodel' }), 'sql'), [
+            'alter table "tenant_acme"."uniquemodel" add column "age" integer'
+          ])
+          assert.deepEqual(_.filter(migrated.globex, { table: 'uniquemodel' }), [ ])
+        })
+    })
+    it('should tell the foreign keys of a tenant from those of the tables of the same names', () => {
+      return run('alter table tenant_acme.pet drop constraint pet_owner_foreign')
+        .then(() => Adapter.migrateTenants('edgetests'))
+        .then(migrated => {
+          assert.deepEqual(_.map(_.filter(migrated.acme, { table: 'pet' }), 'sql'), [
+            'alter table "tenant_acme"."pet" add constraint "pet_owner_foreign" foreign key ("owner") ' +
+            'references "tenant_acme"."owner" ("id") on delete cascade on update no action'
+          ])
+          assert.deepEqual(_.filter(migrated.globex, { table: 'pet' }), [ ])
+        })
+    })
+  })
+
+  describe('createEach', () => {
+    const records = () => _.times(25, i => ({
+      list: [ i, i + 1 ],
+      listOfObjects: [{ index: i }]
+    }))
+
+    it('should insert records in chunks', done => {
+      Adapter.createEach('edgetests', 'arraymodel', records(), (err, rows) => {
+        assert.ifError(err)
+        assert.equal(rows.length, 25)
+        assert.equal(rows[3].list[1], 4)
+        assert.equal(typeof rows[3].listOfObjects[0], 'object')
+        done()
+      })
+    })
+
+    it('should insert records with COPY above the copy threshold', done => {
+      const config = Adapter.connections.get('edgetests').config.createEach
+      const copyThreshold = config.copyThreshold
+      config.copyThreshold = 10
+
+      Adapter.createEach('edgetests', 'arraymodel', records(), (err, rows) => {
+        config.copyThreshold = copyThreshold
+        assert.ifError(err)
+        assert.equal(rows.length, 25)
+        assert(rows[0].id)
+        assert.equal(rows[3].list[1], 4)
+        assert.equal(rows[3].listOfObjects[0].index, 3)
+        done()
+      })
+    })
+
+    it('should leave the attributes that a record omits to their defaults under COPY', done => {
+      const config = Adapter.connections.get('edgetests').config.createEach
+      const copyThreshold = config.copyThreshold
+      config.copyThreshold = 10
+
+      let mixed = _.times(12, i => i % 2 ? { list: [ i ] } : { list: [ i ], listOfObjects: [{ index: i }] })
+      Adapter.createEach('edgetests', 'arraymodel', mixed)
+        .then(rows => {
+          config.copyThreshold = copyThreshold
+          assert.deepEqual(_.map(rows, 'list'), _.map(mixed, 'list'))
+          assert.deepEqual(rows[1].listOfObjects, [ ])
+          assert.equal(rows[2].listOfObjects[0].index, 2)
+          done()
+        })
+        .catch(error => {
+          config.copyThreshold = copyThreshold
+          done(error)
+        })
+    })
+  })
+
+  describe('stream', () => {
+    it('should stream casted records through a cursor', done => {
+      let records = [ ]
+      let output = new stream.Writable({
+        objectMode: true,
+        write (record, encoding, next) {
+          records.push(record)
+          next()
+        }
+      })
+      output.on('finish', () => {
+        assert(records.length > 0)
+        assert(_.isArray(records[0].list))
+        assert.equal(typeof records[0].listOfObjects[0], 'object')
+        done()
+      })
+
+      Adapter.stream('edgetests', 'arraymodel', { where: { }, batchSize: 5 }, output)
+        .catch(done)
+    })
+
+    it('should close the cursor when the consumer aborts', done => {
+      let output = new stream.Writable({
+        objectMode: true,
+        highWaterMark: 1,
+        write (record, encoding, next) {
+          output.emit('close')
+        }
+      })
+
+      Adapter.stream('edgetests', 'arraymodel', { where: { }, batchSize: 1 }, output)
+        .then(() => {
+          assert.equal(Adapter.stats('edgetests').operations.length, 0)
+          return Adapter.count('edgetests', 'arraymodel', { where: { } })
+        })
+        .then(() => done())
+        .catch(done)
+    })
+  })
+
+  // the spatial models are on a connection of their own, which requires
+  // PostGIS; without it, the spatial tests are skipped. Each suite skips
+  // itself, since not every version of mocha skips the suites in a skipped one.
+  describe('spatial', () => {
+    const spatialconfig = _.assign({ }, wlconfig, {
+      connections: {
+        spatialtests: {
+          migrate: 'drop',
+          adapter: 'edgetests',
+          connection: {
+          }
+        }
+      }
+    })
+    let spatial
+
+    before(function () {
+      const run = sql => Adapter.query('edgetests', null, sql, [ ])
+
+      return run(`select 1 from pg_available_extensions where name = 'postgis'`)
+        .then(({ rows }) => {
+          if (_.isEmpty(rows)) this.skip()
+          return run('create extension if not exists postgis')
+        })
+        .then(() => new Promise((resolve, reject) => {
+          let spatialWaterline = new Waterline()
+          spatialWaterline.loadCollection(models.PlaceModel)
+          spatialWaterline.loadCollection(models.RegionModel)
+          spatialWaterline.initialize(spatialconfig, (err, _orm) => {
+            if (err) return reject(err)
+
+            spatial = _orm.collections
+            resolve()
+          })
+        }))
+    })
+
+    describe('spatial criteria', () => {
+      const point = (x, y) => ({ type: 'Point', coordinates: [ x, y ] })
+      const square = (x, y, size) => ({
+        type: 'Polygon',
+        coordinates: [[ [ x, y ], [ x + size, y ], [ x + size, y + size ], [ x, y + size ], [ x, y ] ]]
+      })
+      let region
+
+      before(function () {
+        if (!spatial) this.skip()
+
+        return spatial.region.create({ name: 'austin', boundary: square(-98, 30, 1) })
+          .then(_region => {
+            region = _region
+            return spatial.place.createEach([
+              { name: 'capitol', location: point(-97.7404, 30.2747), region: region.id },
+              { name: 'university', location: point(-97.7341, 30.2849), region: region.id },
+              { name: 'airport', location: point(-97.6699, 30.1975), region: region.id },
+              { name: 'dallas', location: point(-96.797, 32.7767) }
+            ])
+          })
+      })
+
+      it('should find records near a point, within a distance in meters', done => {
+        let near = { geometry: point(-97.7404, 30.2747), distance: 2000 }
+
+        Adapter.find('spatialtests', 'place', { where: { location: { near } }, sort: { name: 1 } }, (err, places) => {
+          assert.ifError(err)
+          assert.deepEqual(_.map(places, 'name'), [ 'capitol', 'university' ])
+          assert.equal(places[0].location.type, 'Point')
+          done()
+        })
+      })
+
+      it('should re-project the geometry of the criteria', done => {
+        // the capitol, in EPSG:3857
+        let geometry = _.assign(point(-10880411.6, 3538909.1), {
+          crs: { type: 'name', properties: { name: 'EPSG:3857' } }
+        })
+
+        Adapter.find('spatialtests', 'place', { where: { location: { near: { geometry, distance: 100 } } } }, (err, places) => {
+          assert.ifError(err)
+          assert.deepEqual(_.map(places, 'name'), [ 'capitol' ])
+          done()
+        })
+      })
+
+      it('should count records within a polygon, combined with other criteria', done => {
+        let where = { location: { within: square(-98, 30, 1) }, name: { '!': 'airport' } }
+
+        Adapter.count('spatialtests', 'place', { where }, (err, count) => {
+          assert.ifError(err)
+          assert.equal(count, 2)
+          done()
+        })
+      })
+
+      it('should find records that intersect or contain a geometry, or fall in a bbox', done => {
+        Adapter.find('spatialtests', 'region', { where: { boundary: { contains: point(-97.7, 30.3) } } })
+          .then(regions => {
+            assert.equal(regions.length, 1)
+            return Adapter.find('spatialtests', 'region', { where: { boundary: { intersects: square(-90, 30, 1) } } })
+          })
+          .then(regions => {
+            assert.equal(regions.length, 0)
+            return Adapter.find('spatialtests', 'place', { where: { location: { bbox: [ -97, 32, -96, 33 ] } } })
+          })
+          .then(places => {
+            assert.deepEqual(_.map(places, 'name'), [ 'dallas' ])
+            done()
+          })
+          .catch(done)
+      })
+
+      it('should apply spatial criteria to populated records', done => {
+        spatial.region.findOne(region.id)
+          .populate('places', { where: { location: { near: { geometry: point(-97.67, 30.2), distance: 1000 } } } })
+          .then(region => {
+            assert.deepEqual(_.map(region.places, 'name'), [ 'airport' ])
+            done()
+          })
+          .catch(done)
+      })
+
+      it('should compute the distance in meters and sort by it', done => {
+        let options = { where: { }, distance: { location: point(-97.7404, 30.2747) }, sort: { distance: 1 } }
+
+        Adapter.find('spatialtests', 'place', options, (err, places) => {
+          assert.ifError(err)
+          assert.deepEqual(_.map(places, 'name'), [ 'capitol', 'university', 'airport', 'dallas' ])
+          assert.equal(places[0].distance, 0)
+          assert(places[1].distance > 1000 && places[1].distance < 1500)
+          done()
+        })
+      })
+
+      it('should sort by distance with the KNN operator when there is a GiST index', done => {
+        let cxn = Adapter.connections.get('spatialtests')
+        let options = { where: { }, distance: { location: point(-96.8, 32.8) }, sort: { distance: 1 }, limit: 2 }
+
+        Adapter.find('spatialtests', 'place', options)
+          .then(places => {
+            assert.deepEqual(_.map(places, 'name'), [ 'dallas', 'airport' ])
+            assert(places[0].distance < 5000)
+            return cxn.gistIndexes.get('place')
+          })
+          .then(indexedColumns => {
+            assert.deepEqual(indexedColumns, [ 'location' ])
+            done()
+          })
+          .catch(done)
+      })
+
+      it('should render a vector tile of the records in a tile', done => {
+        // tile 8/58/105 covers austin, but not dallas
+        Adapter.tile('spatialtests', 'place', { z: 8, x: 58, y: 105, attributes: [ 'name' ] }, (err, tile) => {
+          assert.ifError(err)
+          assert(Buffer.isBuffer(tile))
+          assert(tile.indexOf('capitol') !== -1)
+          assert(tile.indexOf('airport') !== -1)
+          assert.equal(tile.indexOf('dallas'), -1)
+          done()
+        })
+      })
+
+      it('should name the properties of a vector tile after their attributes', done => {
+        Adapter.tile('spatialtests', 'place', { z: 8, x: 58, y: 105, attributes: [ 'name', 'kind' ] })
+          .then(tile => {
+            assert(tile.indexOf('capitol') !== -1)
+            assert(tile.indexOf('kind') !== -1)
+            assert.equal(tile.indexOf('place_kind'), -1)
+            done()
+          })
+          .catch(done)
+      })
+
+      it('should filter the features of a vector tile with criteria', done => {
+        let criteria = { where: { name: 'capitol' } }
+
+        Adapter.tile('spatialtests', 'place', { z: 8, x: 58, y: 105, criteria, attributes: [ 'name' ] })
+          .then(tile => {
+            assert(tile.indexOf('capitol') !== -1)
+            assert.equal(tile.indexOf('airport'), -1)
+            return Adapter.tile('spatialtests', 'place', { z: 8, x: 0, y: 0 })
+          })
+          .then(tile => {
+            assert.equal(tile.length, 0)
+            done()
+          })
+          .catch(done)
+      })
+
+      it('should destroy records with spatial criteria', done => {
+        Adapter.destroy('spatialtests', 'place', { where: { location: { bbox: [ -97, 32, -96, 33 ] } } }, (err, places) => {
+          assert.ifError(err)
+          assert.equal(places.length, 1)
+          assert.equal(places[0].name, 'dallas')
+          done()
+        })
+      })
+
+      it('should reject malformed spatial criteria', done => {
+        Adapter.find('spatialtests', 'place', { where: { location: { near: point(0, 0) } } }, err => {
+          assert(/near/.test(err.message))
+          done()
+        })
+      })
+    })
+
+    describe('spatial columns', () => {
+      const point = (x, y) => ({ type: 'Point', coordinates: [ x, y ] })
+
+      before(function () {
+        if (!spatial) this.skip()
+      })
+
+      it('should record the PostGIS version of the connection', () => {
+        assert(Adapter.connections.get('spatialtests').postgisVersion >= 2.1)
+      })
+
+      it('should refuse spatial models on a connection with spatial: false', done => {
+        const collections = {
+          place: { identity: 'place', definition: { location: { type: 'json', dbType: 'geometry(Point, 4326)' } } }
+        }
+        Adapter.registerConnection({ identity: 'nospatial', spatial: false, connection: { } }, collections, err => {
+          assert(err)
+          assert(/spatial: false/.test(err.message))
+          assert(/place/.test(err.message))
+          assert(!Adapter.connections.has('nospatial'))
+          done()
+        })
+      })
+
+      it('should create GiST indexes on spatial attributes', done => {
+        Adapter.describe('spatialtests', 'region', (err, columns) => {
+          assert.ifError(err)
+          assert(columns.boundary.indexed)
+          assert(columns.center.indexed)
+          done()
+        })
+      })
+
+      it('should store and query geography attributes', done => {
+        spatial.region.createEach([
+          { name: 'zilker', center: point(-97.7726, 30.2669) },
+          { name: 'round rock', center: point(-97.6789, 30.5083) }
+        ])
+        .then(regions => {
+          assert.equal(regions[0].center.type, 'Point')
+          assert.deepEqual(regions[0].center.coordinates, [ -97.7726, 30.2669 ])
+
+          let options = {
+            where: { center: { near: { geometry: point(-97.7404, 30.2747), distance: 5000 } } },
+            distance: { center: point(-97.7404, 30.2747) }
+          }
+          return Adapter.find('spatialtests', 'region', options)
+        })
+        .then(regions => {
+          assert.deepEqual(_.map(regions, 'name'), [ 'zilker' ])
+          assert(regions[0].distance > 3000 && regions[0].distance < 3500)
+          done()
+        })
+        .catch(done)
+      })
+
+      it('should query attributes without an srid without re-projecting', () => {
+        return spatial.region.create({ name: 'sketch', sketch: point(5, 5) })
+          .then(() => Adapter.find('spatialtests', 'region', { where: { sketch: { bbox: [ 0, 0, 10, 10 ] } } }))
+          .then(regions => {
+            assert.deepEqual(_.map(regions, 'name'), [ 'sketch' ])
+            return Adapter.count('spatialtests', 'region', { where: { sketch: { intersects: point(5, 5) } } })
+          })
+          .then(count => {
+            assert.equal(count, 1)
+          })
+      })
+
+      it('should update spatial attributes', done => {
+        spatial.place.create({ name: 'moving', location: point(0, 0) })
+          .then(place => {
+            return spatial.place.update({ id: place.id }, { location: point(-97.7404, 30.2747) })
+          })
+          .then(([ place ]) => {
+            assert.deepEqual(place.location.coordinates, [ -97.7404, 30.2747 ])
+
+            let near = { geometry: point(-97.7404, 30.2747), distance: 10 }
+            return Adapter.update('spatialtests', 'place', { where: { name: 'moving', location: { near } } }, { name: 'moved' })
+          })
+          .then(places => {
+            assert.equal(places.length, 1)
+            assert.equal(places[0].name, 'moved')
+            assert.equal(places[0].location.type, 'Point')
+            done()
+          })
+          .catch(done)
+      })
+
+      it('should find the records of an update without data', done => {
+        Adapter.update('spatialtests', 'place', { where: { name: 'moved' } }, { }, (err, places) => {
+          assert.ifError(err)
+          assert.equal(places.length, 1)
+          assert.equal(places[0].location.type, 'Point')
+          done()
+        })
+      })
+
+      it('should reject geometries that do not match the type of the column', done => {
+        let polygon = { type: 'Polygon', coordinates: [[ [ 0, 0 ], [ 1, 0 ], [ 1, 1 ], [ 0, 0 ] ]] }
+
+        Adapter.create('spatialtests', 'place', { name: 'nowhere', location: polygon }, err => {
+          assert.equal(err.code, 'E_GEOMETRYTYPE')
+          assert.equal(err.invalidAttributes.location[0].rule, 'geometryType')
+          assert.deepEqual(err.invalidAttributes.location[0].value, polygon)
+          done()
+        })
+      })
+    })
+
+    describe('geometry formats', () => {
+      const where = { name: [ 'wkt', 'ewkt' ] }
+
+      before(function () {
+        if (!spatial) this.skip()
+
+        return Adapter.createEach('spatialtests', 'place', [
+          { name: 'wkt', location: 'POINT(-97.7404 30.2747)' },
+          // the capitol, in EPSG:3857
+          { name: 'ewkt', location: 'SRID=3857;POINT(-10880411.6 3538909.1)' }
+        ])
+      })
+
+      it('should write WKT and EWKT geometries', done => {
+        Adapter.find('spatialtests', 'place', { where, sort: { name: 1 }, geometryPrecision: 4 })
+          .then(places => {
+            assert.deepEqual(places[0].location.coordinates, [ -97.7404, 30.2747 ])
+            assert.deepEqual(places[1].location.coordinates, [ -97.7404, 30.2747 ])
+            done()
+          })
+          .catch(done)
+      })
+
+      it('should output geometries as WKT, EWKT or hex EWKB', done => {
+        Adapter.find('spatialtests', 'place', { where: { name: 'wkt' }, geometryFormat: 'wkt' })
+          .then(([ place ]) => {
+            assert.equal(place.location, 'POINT(-97.7404 30.2747)')
+            return Adapter.find('spatialtests', 'place', { where: { name: 'wkt' }, geometryFormat: { location: 'ewkt' } })
+          })
+          .then(([ place ]) => {
+            assert.equal(place.location, 'SRID=4326;POINT(-97.7404 30.2747)')
+            return Adapter.find('spatialtests', 'place', { where: { name: 'wkt' }, geometryFormat: 'ewkb' })
+          })
+          .then(([ place ]) => {
+            assert(/^0101000020e6100000/i.test(place.location))
+            done()
+          })
+          .catch(done)
+      })
+
+      it('should output the geometries of an attribute in its own format and precision', () => {
+        let point = { type: 'Point', coordinates: [ -97.7404, 30.2747 ] }
+
+        return spatial.region.create({ name: 'formats', label: point, anchor: point })
+          .then(() => Adapter.find('spatialtests', 'region', { where: { name: 'formats' } }))
+          .then(([ region ]) => {
+            assert.equal(region.label, 'POINT(-97.7404 30.2747)')
+            assert.deepEqual(region.anchor.coordinates, [ -97.74, 30.27 ])
+            return Adapter.find('spatialtests', 'region', { where: { name: 'formats' }, geometryFormat: 'geojson', geometryPrecision: 4 })
+          })
+          .then(([ region ]) => {
+            assert.deepEqual(region.label.coordinates, [ -97.7404, 30.2747 ])
+            assert.deepEqual(region.anchor.coordinates, [ -97.7404, 30.2747 ])
+          })
+      })
+
+      it('should return a feature collection', done => {
+        Adapter.find('spatialtests', 'place', { where, sort: { name: 1 }, featureCollection: true })
+          .then(collection => {
+            assert.equal(collection.type, 'FeatureCollection')
+            assert.equal(collection.features.length, 2)
+            assert.equal(collection.features[0].type, 'Feature')
+            assert.equal(collection.features[0].geometry.type, 'Point')
+            assert.equal(collection.features[0].properties.name, 'ewkt')
+            assert.equal(collection.features[0].id, collection.features[0].properties.id)
+            assert(!_.has(collection.features[0].properties, 'location'))
+            done()
+          })
+          .catch(done)
+      })
+
+      it('should return geojson that does not parse as it is', () => {
+        let schema = Adapter.connections.get('spatialtests').collections.place
+        let [ place ] = Util.castResultRows([ { name: 'raw', location: 'POINT(-97.7404 30.2747)' } ], schema)
+        assert.equal(place.location, 'POINT(-97.7404 30.2747)')
+      })
+
+      it('should return the geometries of destroyed records', done => {
+        Adapter.destroy('spatialtests', 'place', { where }, (err, places) => {
+          assert.ifError(err)
+          assert.equal(places.length, 2)
+          assert.equal(places[0].location.type, 'Point')
+          done()
+        })
+      })
+    })
+  })
+
+  describe('transactions', () => {
+    it('should run queries inside of a committed transaction', done => {
+      Adapter.transaction('edgetests', 'jsonmodel')
+        .then(txn => {
+          return Adapter.create('edgetests', 'jsonmodel', { json: { txn: 'commit' } }, null, txn)
+            .then(record => {
+              return Adapter.find('edgetests', 'jsonmodel', { where: { id: record.id } }, null, txn)
+            })
+            .then(records => {
+              assert.equal(records.length, 1)
+              return txn.commit()
+            })
+        })
+        .then(() => {
+          return Adapter.count('edgetests', 'jsonmodel', { where: { } })
+        })
+        .then(count => {
+          assert(count > 0)
+          done()
+        })
+        .catch(done)
+    })
+
+    it('should roll back the transaction when a query fails', done => {
+      let recordId
+      Adapter.transaction('edgetests', 'jsonmodel')
+        .then(txn => {
+          return Adapter.create('edgetests', 'jsonmodel', { json: { txn: 'rollback' } }, null, txn)
+            .then(record => {
+              recordId = record.id
+              return Adapter.query('edgetests', 'jsonmodel', 'select * from nonexistent_table', [ ], null, txn)
+            })
+        })
+        .then(() => done(new Error('expected query to fail')))
+        .catch(err => {
+          assert(err)
+          return Adapter.find('edgetests', 'jsonmodel', { where: { id: recordId } })
+            .then(records => {
+              assert.equal(records.length, 0)
+              done()
+            })
+        })
+        .catch(done)
+    })
+  })
+
+  describe('nested transactions', () => {
+    it('should roll back to the savepoint of a nested transaction', done => {
+      let outer, inner, outerRecord, innerRecord
+      Adapter.transaction('edgetests', 'jsonmodel')
+        .then(txn => {
+          outer = txn
+          return Adapter.create('edgetests', 'jsonmodel', { json: { txn: 'outer' } }, null, outer)
+        })
+        .then(record => {
+          outerRecord = record
+          return Adapter.transaction('edgetests', 'jsonmodel', null, outer)
+        })
+        .then(txn => {
+          inner = txn
+          return Adapter.create('edgetests', 'jsonmodel', { json: { txn: 'inner' } }, null, inner)
+        })
+        .then(record => {
+          innerRecord = record
+          return inner.rollback()
+        })
+        .then(() => {
+          return Adapter.find('edgetests', 'jsonmodel', { where: { id: [ outerRecord.id, innerRecord.id ] } }, null, outer)
+        })
+        .then(records => {
+          assert.equal(records.length, 1)
+          assert.equal(records[0].id, outerRecord.id)
+          return outer.commit()
+        })
+        .then(() => done())
+        .catch(done)
+    })
+
+    it('should refuse to commit a transaction while a nested transaction is active', done => {
+      let outer
+      Adapter.transaction('edgetests', 'jsonmodel')
+        .then(txn => {
+          outer = txn
+          return Adapter.transaction('edgetests', 'jsonmodel', null, outer)
+        })
+        .then(inner => outer.commit())
+        .then(() => done(new Error('expected commit to fail')))
+        .catch(err => {
+          assert(/nested transaction is still active/.test(err.message))
+          outer.rollback().then(() => done())
+        })
+    })
+
+    it('should refuse to use a nested transaction after its parent has completed', done => {
+      let outer
+      Adapter.transaction('edgetests', 'jsonmodel')
+        .then(txn => {
+          outer = txn
+          return Adapter.transaction('edgetests', 'jsonmodel', null, outer)
+        })
+        .then(inner => {
+          return outer.rollback()
+            .then(() => Adapter.find('edgetests', 'jsonmodel', { where: { } }, null, inner))
+        })
+        .then(() => done(new Error('expected find to fail')))
+        .catch(err => {
+          assert(/parent transaction \(depth 0\) has already been rolled back/.test(err.message))
+          done()
+        })
+    })
+
+    it('should refuse to open a nested transaction on a committed parent', done => {
+      Adapter.transaction('edgetests', 'jsonmodel')
+        .then(txn => {
+          return txn.commit()
+            .then(() => Adapter.transaction('edgetests', 'jsonmodel', null, txn))
+        })
+        .then(() => done(new Error('expected transaction to fail')))
+        .catch(err => {
+          assert(/has already been committed/.test(err.message))
+          done()
+        })
+    })
+  })
+
+  describe('transaction settings', () => {
+    it('should set the isolation level and access mode', done => {
+      Adapter.transaction('edgetests', 'jsonmodel', null, { isolationLevel: 'SERIALIZABLE', readOnly: true })
+        .then(txn => {
+          return Adapter.query('edgetests', 'jsonmodel', 'show transaction_isolation', [ ], null, txn)
+            .then(({ rows: [ row ] }) => {
+              assert.equal(row.transaction_isolation, 'serializable')
+              return Adapter.query('edgetests', 'jsonmodel', 'show transaction_read_only', [ ], null, txn)
+            })
+            .then(({ rows: [ row ] }) => {
+              assert.equal(row.transaction_read_only, 'on')
+              return txn.commit()
+            })
+        })
+        .then(() => done())
+        .catch(done)
+    })
+
+    it('should reject an invalid isolation level', done => {
+      Adapter.transaction('edgetests', 'jsonmodel', null, { isolationLevel: 'chaos' })
+        .then(() => done(new Error('expected transaction to fail')))
+        .catch(err => {
+          assert(/Invalid isolationLevel/.test(err.message))
+          done()
+        })
+    })
+
+    it('should retry the body after a serialization failure', done => {
+      let attempts = 0
+      Adapter.transaction('edgetests', 'jsonmodel', (err, txn) => {
+          attempts++
+          return Adapter.create('edgetests', 'jsonmodel', { json: { attempt: attempts } }, null, txn)
+            .then(record => {
+              if (attempts < 3) {
+                let error = new Error('could not serialize access')
+                error.code = '40001'
+                throw error
+              }
+              return record
+            })
+        }, { isolationLevel: 'serializable', retry: { minDelay: 1 } })
+        .then(record => {
+          assert.equal(attempts, 3)
+          assert.equal(record.json.attempt, 3)
+          return Adapter.count('edgetests', 'jsonmodel', { where: { id: [ record.id - 1, record.id - 2 ] } })
+        })
+        .then(count => {
+          assert.equal(count, 0)
+          done()
+        })
+        .catch(done)
+    })
+  })
+
+  describe('session context', () => {
+    const run = sql => Adapter.query('edgetests', null, sql, [ ])
+    const contextOf = context => ({ context })
+
+    before(() => {
+      return run(`
+        drop table if exists rlstests;
+        drop role if exists rlstester;
+        create role rlstester;
+        create table rlstests (id serial primary key, owner integer, note text);
+        insert into rlstests (owner, note) values (1, 'first'), (2, 'second'), (2, 'third');
+        alter table rlstests enable row level security;
+        create policy rlstests_owner on rlstests using (owner = current_setting('app.user_id')::integer);
+        grant select on rlstests to rlstester;
+      `)
+    })
+    after(() => run('drop table rlstests; drop role rlstester'))
+
+    it('should apply the context of a call to row-level security policies', () => {
+      return Adapter.query('edgetests', null, 'select note from rlstests order by id', [ ], null, contextOf({ userId: 2, role: 'rlstester' }))
+        .then(({ rows }) => {
+          assert.deepEqual(_.map(rows, 'note'), [ 'second', 'third' ])
+        })
+    })
+    it('should not leave the context on the pooled connection', () => {
+      return run('select current_user as role')
+        .then(({ rows: [ before ] }) => {
+          return Adapter.query('edgetests', null, 'select 1', [ ], null, contextOf({ userId: 1, role: 'rlstester' }))
+            .then(() => Promise.all(_.times(4, () => run('select current_user as role'))))
+            .then(results => {
+              _.each(results, ({ rows: [ after ] }) => assert.equal(after.role, before.role))
+            })
+        })
+    })
+    it('should apply the context of a transaction', () => {
+      return Adapter.transaction('edgetests', null, null, contextOf({ userId: 1, role: 'rlstester' }))
+        .then(txn => {
+          return Adapter.query('edgetests', null, 'select note from rlstests', [ ], null, txn)
+            .then(({ rows }) => {
+              assert.deepEqual(_.map(rows, 'note'), [ 'first' ])
+              return txn.commit()
+            })
+        })
+    })
+    it('should snake_case the keys of a context into its namespace', () => {
+      let sql = `select current_setting('app.user_id') as user_id, current_setting('app.tenant_id') as tenant_id`
+      return Adapter.query('edgetests', null, sql, [ ], null, contextOf({ userId: 7, tenantId: 'acme' }))
+        .then(({ rows }) => {
+          assert.deepEqual(rows, [ { user_id: '7', tenant_id: 'acme' } ])
+        })
+    })
+    it('should apply the context that context.current returns', () => {
+      let config = Adapter.connections.get('edgetests').config.context
+      config.current = (method, tableName) => ({ userId: 9, role: 'rlstester' })
+
+      return Adapter.find('edgetests', 'uniquemodel', { where: { } })
+        .then(() => {
+          throw new Error('find should not be permitted as rlstester')
+        }, error => {
+          assert(/permission denied/.test(error.message))
+          return run('select note from rlstests')
+        })
+        .then(({ rows }) => {
+          config.current = null
+          assert.deepEqual(rows, [ ])
+        }, error => {
+          config.current = null
+          throw error
+        })
+    })
+  })
+
+  describe('stats', () => {
+    it('should report in-flight operations and pool usage', done => {
+      // the stats while the query of the find is running
+      let knex = Adapter.knex('edgetests')
+      let stats
+      let record = () => { stats = stats || Adapter.stats('edgetests') }
+      knex.on('query', record)
+
+      Adapter.find('edgetests', 'jsonmodel', { where: { } })
+        .then(() => {
+          knex.removeListener('query', record)
+          assert.equal(stats.operations.length, 1)
+          assert.equal(stats.operations[0].method, 'find')
+          assert.equal(stats.operations[0].table, 'jsonmodel')
+          assert(stats.pool.used >= 1)
+          assert(_.isNumber(stats.pool.free))
+          assert(_.isNumber(stats.pool.pending))
+          assert.equal(Adapter.stats('edgetests').operations.length, 0)
+          done()
+        })
+        .catch(error => {
+          knex.removeListener('query', record)
+          done(error)
+        })
+    })
+
+    it('should remove failed operations from the registry', done => {
+      Adapter.query('edgetests', 'jsonmodel', 'select * from nonexistent_table', [ ])
+        .then(() => { throw new Error('expected the query to fail') }, err => {
+          assert(err)
+          assert.equal(Adapter.stats('edgetests').operations.length, 0)
+          done()
+        })
+        .catch(done)
+    })
+  })
+
 })
@@ -23,6 +23,37 @@ module.exports = {
     }
   }),
 
+  TypedArrayModel: Waterline.Collection.extend({
+    identity: 'typedarraymodel',
+    connection: 'edgetests',
+    dynamicFinders: false,
+    associationFinders: false,
+
+    attributes: {
+      tags: {
+        type: 'array',
+        arrayType: 'text',
+        index: true
+      },
+      scores: {
+        type: 'array',
+        dbType: 'integer[]'
+      },
+      refs: {
+        type: 'array',
+        arrayType: 'uuid'
+      },
+      documents: {
+        type: 'array',
+        arrayType: 'jsonb'
+      },
+      dates: {
+        type: 'array',
+        arrayType: 'timestamptz'
+      }
+    }
+  }),
+
   JsonModel: Waterline.Collection.extend({
     identity: 'jsonmodel',
     connection: 'edgetests',
@@ -45,6 +76,237 @@ module.exports = {
         defaultsTo: '{}'
       }
     }
+  }),
+
+  EnumModel: Waterline.Collection.extend({
+    identity: 'enummodel',
+    connection: 'edgetests',
+    dynamicFinders: false,
+    associationFinders: false,
+
+    attributes: {
+      mood: {
+        type: 'string',
+        enum: [ 'sad', 'ok', 'happy' ],
+        nativeEnum: true
+      }
+    }
+  }),
+
+  AlterModel: Waterline.Collection.extend({
+    identity: 'altermodel',
+    connection: 'edgetests',
+    dynamicFinders: false,
+    associationFinders: false,
+
+    attributes: {
+      name: {
+        type: 'string'
+      },
+      age: {
+        type: 'integer'
+      },
+      code: {
+        type: 'string',
+        dbType: 'character varying',
+        length: 10,
+        unique: true
+      },
+      nickname: {
+        type: 'string',
+        renamedFrom: 'nick'
+      },
+      status: {
+        type: 'string',
+        enum: [ 'draft', 'sent' ]
+      }
+    }
+  }),
+
+  CommentModel: Waterline.Collection.extend({
+    identity: 'commentmodel',
+    connection: 'edgetests',
+    dynamicFinders: false,
+    associationFinders: false,
+    description: 'Things that are commented on',
+
+    attributes: {
+      name: {
+        type: 'string',
+        description: 'The display name'
+      },
+      code: {
+        type: 'string',
+        comment: "The code, e.g. 'A1'"
+      }
+    }
+  }),
+
+  OwnerModel: Waterline.Collection.extend({
+    identity: 'owner',
+    connection: 'edgetests',
+    dynamicFinders: false,
+    associationFinders: false,
+
+    attributes: {
+      name: {
+        type: 'string'
+      },
+      favorite: {
+        model: 'pet',
+        onDelete: 'set null'
+      }
+    }
+  }),
+
+  PetModel: Waterline.Collection.extend({
+    identity: 'pet',
+    connection: 'edgetests',
+    dynamicFinders: false,
+    associationFinders: false,
+
+    attributes: {
+      name: {
+        type: 'string'
+      },
+      owner: {
+        model: 'owner',
+        onDelete: 'cascade'
+      },
+      sitter: {
+        model: 'owner',
+        onDelete: 'set null',
+        deferrable: true
+      }
+    }
+  }),
+
+  LedgerModel: Waterline.Collection.extend({
+    identity: 'ledger',
+    connection: 'edgetests',
+    dynamicFinders: false,
+    associationFinders: false,
+    meta: {
+      schemaName: 'accounting'
+    },
+
+    attributes: {
+      name: {
+        type: 'string'
+      },
+      entries: {
+        collection: 'entry',
+        via: 'ledger'
+      }
+    }
+  }),
+
+  EntryModel: Waterline.Collection.extend({
+    identity: 'entry',
+    connection: 'edgetests',
+    dynamicFinders: false,
+    associationFinders: false,
+    meta: {
+      schemaName: 'accounting'
+    },
+
+    attributes: {
+      amount: {
+        type: 'integer'
+      },
+      kind: {
+        type: 'string',
+        enum: [ 'debit', 'credit' ],
+        nativeEnum: true
+      },
+      ledger: {
+        model: 'ledger'
+      }
+    }
+  }),
+
+  UniqueModel: Waterline.Collection.extend({
+    identity: 'uniquemodel',
+    connection: 'edgetests',
+    dynamicFinders: false,
+    associationFinders: false,
+
+    attributes: {
+      emailAddress: {
+        type: 'string',
+        columnName: 'email',
+        unique: true
+      },
+      age: {
+        type: 'integer'
+      }
+    }
+  }),
+
+  PlaceModel: Waterline.Collection.extend({
+    identity: 'place',
+    connection: 'spatialtests',
+    dynamicFinders: false,
+    associationFinders: false,
+
+    attributes: {
+      name: {
+        type: 'string'
+      },
+      kind: {
+        type: 'string',
+        columnName: 'place_kind'
+      },
+      location: {
+        type: 'json',
+        dbType: 'geometry(Point, 4326)'
+      },
+      region: {
+        model: 'region'
+      }
+    }
+  }),
+
+  RegionModel: Waterline.Collection.extend({
+    identity: 'region',
+    connection: 'spatialtests',
+    dynamicFinders: false,
+    associationFinders: false,
+
+    attributes: {
+      name: {
+        type: 'string'
+      },
+      boundary: {
+        type: 'json',
+        dbType: 'geometry(Polygon, 4326)'
+      },
+      center: {
+        type: 'json',
+        dbType: 'geography(Point)'
+      },
+      label: {
+        type: 'json',
+        dbType: 'geometry(Point, 4326)',
+        geometryFormat: 'wkt',
+        index: false
+      },
+      anchor: {
+        type: 'json',
+        dbType: 'geometry(Point, 4326)',
+        geometryPrecision: 2,
+        index: false
+      },
+      sketch: {
+        type: 'json',
+        dbType: 'geometry',
+        index: false
+      },
+      places: {
+        collection: 'place',
+        via: 'region'
+      }
+    }
   })
 
 }